@@ -1,5 +1,32 @@
 
-import { buildInfo, buildHealth } from "./systemMetrics.js";
+import { buildInfo, buildHealth, getHostResources } from "./systemMetrics.js";
+import { exceedsWorkerCapacity } from "./resources.js";
+import { cpuReservations, ReservationError } from "./reservations.js";
+import path from "path";
+
+import { isSafeRelativePath, artifactDirFor } from "./workspace.js";
+import { jobLogs } from "./jobLogs.js";
+import { jobImage, JournalError } from "./jobStore.js";
+import { CALLBACK_EVENTS } from "./webhooks.js";
+import { requireScope, hasScope, canAccessJob, canUseCallbackSecret } from "./auth.js";
+import { validateSandboxSpec } from "./sandbox.js";
+import { isImageAllowed, applyLimitPolicy, dockerfileImages } from "./policy.js";
+import { JOB_SCHEMA, RUNTIME_MODES, validateJobSchema } from "./jobSchema.js";
+import { imageManager, imagesInUse, ImageError } from "./images.js";
+import { getDockerDisk } from "./systemMetrics.js";
+import { workerMetrics } from "./metrics.js";
+import { thermalMonitor } from "./thermal.js";
+import { workerDrain, DRAIN_MODES } from "./drain.js";
+import { contentHash } from "./canonical.js";
+
+const TERMINAL_STATES = new Set(["finished", "failed", "cancelled"]);
+
+// GET /jobs page size
+const DEFAULT_LIST_LIMIT = 100;
+const MAX_LIST_LIMIT = 1000;
+
+// Comment line sent on idle log streams so proxies keep the connection open
+const LOG_STREAM_KEEPALIVE_MS = 15000;
 
 /**
  * Register all HTTP routes on the given Express app.
@@ -11,16 +38,24 @@ import { buildInfo, buildHealth } from "./systemMetrics.js";
  * @param {object} deps
  * @param {import("./jobStore.js").jobStore} deps.jobStore
  * @param {import("./config.js").config} deps.config
+ * @param {import("./backends/index.js").ExecutionBackend} deps.backend
  */
 
-export function registerRoutes(app, { jobStore, config }) {
+export function registerRoutes(app, { jobStore, config, backend }) {
+
+  // Job lookup that hides jobs the caller may not see (submitted by another
+  // credential) behind the same answer as a missing job.
+  const findJob = (req, jobId) => {
+    const record = jobStore.getJob(jobId);
+    return record && canAccessJob(req.credential, record) ? record : null;
+  };
 
   /**
    * GET /info
    *
    * Returns static worker information.
    */
-  app.get("/info", (req, res) => {
+  app.get("/info", requireScope("read"), (req, res) => {
     const info = buildInfo(config);
     res.json(info);
   });
@@ -31,61 +66,322 @@ export function registerRoutes(app, { jobStore, config }) {
    *
    * Returns dynamic health and load information for this worker.
    */
-  app.get("/health", (req, res) => {
+  app.get("/health", requireScope("read"), (req, res) => {
     const runningJobs = jobStore.getRunningJobCount();
     const maxConcurrentJobs = config.maxConcurrentJobs;
 
-    const health = buildHealth({ runningJobs, maxConcurrentJobs });
+    const health = buildHealth({
+      runningJobs,
+      maxConcurrentJobs,
+      dedicatedReservedCpuIds: cpuReservations.reservedCpuIds(),
+      jobsPath: config.jobsDir,
+      thermal: thermalMonitor.check(config.thermal),
+      drain: workerDrain.status()
+    });
     res.json(health);
   });
 
 
   /**
-   * POST /jobs
+   * GET /metrics
    *
-   * Submit a job to this worker.
+   * Prometheus text exposition of job counters, queue wait / run duration
+   * histograms and the /health resource gauges.
+   */
+  app.get("/metrics", requireScope("read"), (req, res) => {
+    const health = buildHealth({
+      runningJobs: jobStore.getRunningJobCount(),
+      maxConcurrentJobs: config.maxConcurrentJobs,
+      dedicatedReservedCpuIds: cpuReservations.reservedCpuIds(),
+      jobsPath: config.jobsDir,
+      thermal: thermalMonitor.check(config.thermal),
+      drain: workerDrain.status()
+    });
+
+    const { contentType, body } = workerMetrics.render({ health, workerId: config.workerId });
+    res.type(contentType).send(body);
+  });
+
+
+  /**
+   * GET /schema/job
    *
-   * Expected body: the Job object from JOB_PROTOCOL.md.
+   * JSON Schema of the Job object this worker accepts, so masters can
+   * validate before sending. Worker policy (allowed images, limit maximums)
+   * is in GET /info.
    */
-  app.post("/jobs", (req, res) => {
-    const job = req.body;
+  app.get("/schema/job", requireScope("read"), (req, res) => {
+    res.type("application/schema+json").send(JSON.stringify(JOB_SCHEMA, null, 2));
+  });
+
+
+  /**
+   * First half of a submission (POST /jobs and /jobs/batch): everything
+   * short of storing the job. Returns either the final { status, body } -
+   * a rejection, or a resubmitted duplicate - or { job } ready for
+   * commitSubmission().
+   *
+   * Idempotent per job_id: resubmitting the same job (same canonical JSON,
+   * see canonical.js) is answered with the existing record's state instead
+   * of a conflict, even while draining.
+   */
+  const prepareSubmission = (req, job) => {
+    // Hash of the body as sent, before the limit policy fills in defaults
+    const submittedHash = contentHash(job);
+
+    const existing = typeof job?.job_id === "string" ? findJob(req, job.job_id) : null;
+    if (existing && existing.content_hash === submittedHash) {
+      return {
+        status: 200,
+        body: {
+          accepted: true,
+          job_id: existing.job_id,
+          state: existing.state,
+          duplicate: true,
+          content_hash: existing.content_hash,
+          limits: existing.job?.runtime?.limits ?? {}
+        }
+      };
+    }
+
+    if (workerDrain.draining && workerDrain.mode === "reject") {
+      return rejection(503, job, {
+        code: "WORKER_DRAINING",
+        message: "Worker is draining and does not accept new jobs"
+      });
+    }
 
     // Basic shape validation
     const validationError = validateJobRequest(job, config);
     if (validationError) {
-      return res.status(400).json({
-        accepted: false,
-        job_id: job?.job_id ?? null,
-        state: "rejected",
-        error: {
-          code: validationError.code,
-          message: validationError.message
-        }
+      return rejection(400, job, validationError);
+    }
+
+    // The worker signs callbacks with this secret: only its owner may pick it
+    if (job.callback && !canUseCallbackSecret(req.credential, job.callback.secret_id)) {
+      return rejection(403, job, {
+        code: "CALLBACK_SECRET_FORBIDDEN",
+        message: `callback.secret_id '${job.callback.secret_id}' is not one this credential may use`
       });
     }
 
-    const jobId = job.job_id;
+    // Checked here too (createJob would refuse it) so an atomic batch
+    // finds the conflict before storing anything
+    if (jobStore.getJob(job.job_id)) {
+      return conflict(req, job, submittedHash);
+    }
 
-    try {
-      const record = jobStore.createJob(jobId, job);
+    // Stored with the worker's default/maximum limits applied
+    const { limits, adjustments } = applyLimitPolicy(job.runtime.limits, config.limits);
+    return {
+      job: { ...job, runtime: { ...job.runtime, limits } },
+      contentHash: submittedHash,
+      limits,
+      adjustments
+    };
+  };
 
-      return res.status(202).json({
-        accepted: true,
-        job_id: record.job_id,
-        state: record.state
+  /**
+   * Second half: store a prepared job. Returns { status, body }.
+   */
+  const commitSubmission = (req, prepared) => {
+    const jobId = prepared.job.job_id;
+
+    try {
+      const record = jobStore.createJob(jobId, prepared.job, {
+        submittedBy: req.credential?.id ?? null,
+        contentHash: prepared.contentHash
       });
+
+      return {
+        status: 202,
+        body: {
+          accepted: true,
+          job_id: record.job_id,
+          state: record.state,
+          content_hash: prepared.contentHash,
+          limits: prepared.limits,
+          ...(prepared.adjustments.length > 0 ? { limit_adjustments: prepared.adjustments } : {}),
+          // Accepted while draining in "hold" mode: starts once undrained
+          ...(workerDrain.draining ? { held: true } : {})
+        }
+      };
     } catch (err) {
-      // Most likely: duplicate job id
-      return res.status(409).json({
-        accepted: false,
-        job_id: jobId,
-        state: "rejected",
+      // Not on disk, so not accepted: the master should try again or elsewhere
+      if (err instanceof JournalError) {
+        return rejection(503, prepared.job, { code: err.code, message: err.message });
+      }
+      // Most likely: duplicate job id, with a different body (same body is handled above)
+      return conflict(req, prepared.job, prepared.contentHash, err.message);
+    }
+  };
+
+  // 409 for a job_id already taken by a different job; hashes only for
+  // callers allowed to see the existing job
+  const conflict = (req, job, submittedHash, fallbackMessage) => {
+    const conflicting = findJob(req, job.job_id);
+    return rejection(409, job, {
+      code: "JOB_ID_ALREADY_EXISTS",
+      message: conflicting
+        ? "A different job with this id already exists on this worker"
+        : fallbackMessage || "Job with this id already exists on this worker",
+      ...(conflicting
+        ? { existing_content_hash: conflicting.content_hash ?? null, submitted_content_hash: submittedHash }
+        : {})
+    });
+  };
+
+
+  /**
+   * POST /jobs
+   *
+   * Submit a job to this worker.
+   *
+   * Expected body: the Job object from JOB_PROTOCOL.md.
+   */
+  app.post("/jobs", requireScope("submit"), (req, res) => {
+    const job = req.body;
+    workerMetrics.jobSubmitted();
+
+    const prepared = prepareSubmission(req, job);
+    const { status, body } = prepared.job ? commitSubmission(req, prepared) : prepared;
+    if (!body.accepted) {
+      workerMetrics.jobRejected(body.error.code);
+    }
+    return res.status(status).json(body);
+  });
+
+
+  /**
+   * POST /jobs/batch
+   *
+   * Submit many jobs in one request.
+   *
+   * Expected body: { "jobs": [Job, ...], "atomic": false }
+   *
+   * Every job is handled as by POST /jobs, and `results` holds, in request
+   * order, what POST /jobs would have answered for it plus that answer's
+   * HTTP `status`. A job_id may appear only once per batch.
+   *
+   * With "atomic": true the batch is all-or-nothing: jobs are only stored if
+   * none is rejected, else none is and the others are rejected with
+   * BATCH_ABORTED. Resubmitted duplicates count as accepted and are
+   * answered as such either way (they are stored already).
+   */
+  app.post("/jobs/batch", requireScope("submit"), (req, res) => {
+    const { jobs, atomic = false } = req.body ?? {};
+
+    if (!Array.isArray(jobs) || jobs.length === 0) {
+      return res.status(400).json({
+        error: { code: "BAD_BATCH", message: "Body must be { jobs: [...] } with at least one job" }
+      });
+    }
+    if (typeof atomic !== "boolean") {
+      return res.status(400).json({ error: { code: "BAD_BATCH", message: "atomic must be a boolean" } });
+    }
+    if (jobs.length > config.batch.maxJobs) {
+      return res.status(413).json({
         error: {
-          code: "JOB_ID_ALREADY_EXISTS",
-          message: err.message || "Job with this id already exists on this worker"
+          code: "BATCH_TOO_LARGE",
+          message: `A batch may hold at most ${config.batch.maxJobs} jobs (got ${jobs.length})`
         }
       });
     }
+
+    const seenIds = new Set();
+    const prepared = jobs.map((job) => {
+      workerMetrics.jobSubmitted();
+      const jobId = job?.job_id;
+      if (typeof jobId === "string") {
+        if (seenIds.has(jobId)) {
+          return rejection(409, job, {
+            code: "JOB_ID_ALREADY_EXISTS",
+            message: "job_id appears more than once in this batch"
+          });
+        }
+        seenIds.add(jobId);
+      }
+      return prepareSubmission(req, job);
+    });
+
+    // Duplicates are already stored: their answer stands as it is
+    const abort = (p) =>
+      p.job
+        ? rejection(409, p.job, {
+            code: "BATCH_ABORTED",
+            message: "Not submitted: another job in this atomic batch was rejected"
+          })
+        : p;
+
+    const failed = prepared.some((p) => !p.job && !p.body.accepted);
+    let results;
+    if (atomic && failed) {
+      results = prepared.map(abort);
+    } else {
+      // Stored back to back, before the scheduler's next pass
+      results = [];
+      for (const p of prepared) {
+        const result = p.job ? commitSubmission(req, p) : p;
+        results.push(result);
+        if (atomic && !result.body.accepted) break;
+      }
+
+      // A job that could not be stored (journal write failed) aborts an
+      // atomic batch after all: take back the ones stored before it
+      if (results.length < prepared.length) {
+        results = prepared.map((p, i) => {
+          if (i === results.length - 1) return results[i];
+          if (p.job && i < results.length) jobStore.removeJob(p.job.job_id);
+          return abort(p);
+        });
+      }
+    }
+
+    for (const { body } of results) {
+      if (!body.accepted) workerMetrics.jobRejected(body.error.code);
+    }
+
+    const accepted = results.filter(({ body }) => body.accepted).length;
+    return res.status(200).json({
+      atomic,
+      accepted,
+      rejected: results.length - accepted,
+      results: results.map(({ status, body }) => ({ status, ...body }))
+    });
+  });
+
+
+  /**
+   * GET /jobs
+   *
+   * List jobs held by this worker as summary records (no stdout/stderr),
+   * oldest first.
+   *
+   * Query (all optional):
+   * - state: one state or a comma-separated list
+   * - created_after / created_before / finished_after / finished_before: ISO timestamps
+   * - image, task_type: exact match
+   * - limit: page size (default 100, max 1000)
+   * - cursor: next_cursor from the previous page
+   */
+  app.get("/jobs", requireScope("submit"), (req, res) => {
+    const parsed = parseListQuery(req.query);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    // Non-admin callers only list their own jobs
+    if (!hasScope(req.credential, "admin")) {
+      parsed.filter.submittedBy = req.credential.id;
+    }
+
+    const { jobs, hasMore } = jobStore.listJobs(parsed.filter);
+    const last = jobs[jobs.length - 1];
+
+    return res.json({
+      jobs: jobs.map(summarizeJob),
+      next_cursor: hasMore && last ? encodeListCursor(last) : null
+    });
   });
 
 
@@ -94,9 +390,72 @@ export function registerRoutes(app, { jobStore, config }) {
    *
    * Fetch job status and results.
    */
-  app.get("/jobs/:job_id", (req, res) => {
+  app.get("/jobs/:job_id", requireScope("submit"), (req, res) => {
     const jobId = req.params.job_id;
-    const record = jobStore.getJob(jobId);
+    const record = findJob(req, jobId);
+
+    if (!record) {
+      return res.status(404).json({
+        job_id: jobId,
+        state: "not_found"
+      });
+    }
+
+    return res.json(serializeJob(record));
+  });
+
+
+  /**
+   * GET /jobs/:job_id/logs
+   *
+   * stdout/stderr captured so far, from the requested offsets on.
+   *
+   * Query:
+   * - stdout_offset / stderr_offset: character offsets to resume from (default 0)
+   * - follow=true: keep the response open as Server-Sent Events, pushing new
+   *   output as it arrives, until the job reaches a terminal state.
+   *   Each event's id is "<stdout_offset>:<stderr_offset>", so reconnecting
+   *   with Last-Event-ID resumes where the client left off.
+   */
+  app.get("/jobs/:job_id/logs", requireScope("submit"), (req, res) => {
+    const jobId = req.params.job_id;
+    const record = findJob(req, jobId);
+
+    if (!record) {
+      return res.status(404).json({
+        job_id: jobId,
+        state: "not_found"
+      });
+    }
+
+    const offsets = parseLogOffsets(req);
+
+    if (req.query.follow === "true" || req.query.follow === "1") {
+      return streamJobLogs(req, res, jobStore, record, offsets);
+    }
+
+    const output = currentOutput(record);
+
+    return res.json({
+      job_id: record.job_id,
+      state: record.state,
+      complete: TERMINAL_STATES.has(record.state),
+      stdout: output.stdout.slice(offsets.stdout),
+      stderr: output.stderr.slice(offsets.stderr),
+      stdout_offset: Math.max(output.stdout.length, offsets.stdout),
+      stderr_offset: Math.max(output.stderr.length, offsets.stderr)
+    });
+  });
+
+
+  /**
+   * GET /jobs/:job_id/artifacts
+   *
+   * List the files collected from the job's runtime.workspace.outputs.
+   */
+  app.get("/jobs/:job_id/artifacts", requireScope("submit"), (req, res) => {
+    const jobId = req.params.job_id;
+    const record = findJob(req, jobId);
 
     if (!record) {
       return res.status(404).json({
@@ -105,20 +464,41 @@ export function registerRoutes(app, { jobStore, config }) {
       });
     }
 
-    // Build response object
-    const response = {
+    return res.json({
       job_id: record.job_id,
       state: record.state,
-      created_at: record.created_at,
-      started_at: record.started_at,
-      finished_at: record.finished_at,
-      exit_code: record.exit_code,
-      stdout: record.stdout,
-      stderr: record.stderr,
-      error: record.error
-    };
+      artifacts: record.artifacts || [],
+      artifacts_skipped: record.artifacts_skipped || [],
+      expired_at: record.artifacts_expired_at || null
+    });
+  });
+
+
+  /**
+   * GET /jobs/:job_id/artifacts/*name
+   *
+   * Download one artifact. `name` is the path listed by the endpoint above
+   * and may contain slashes (e.g. out/result.json).
+   */
+  app.get("/jobs/:job_id/artifacts/*name", requireScope("submit"), (req, res) => {
+    const jobId = req.params.job_id;
+    const name = req.params.name.join("/");
+    const record = findJob(req, jobId);
+    const artifact = record?.artifacts?.find((a) => a.name === name);
+
+    if (!artifact) {
+      return res.status(404).json({
+        job_id: jobId,
+        artifact: name,
+        error: {
+          code: "ARTIFACT_NOT_FOUND",
+          message: "No such artifact for this job (it may have expired)"
+        }
+      });
+    }
 
-    return res.json(response);
+    const filePath = path.join(artifactDirFor(config.artifactsDir, jobId), name);
+    return res.sendFile(filePath, { dotfiles: "allow" });
   });
 
 
@@ -126,14 +506,19 @@ export function registerRoutes(app, { jobStore, config }) {
    * DELETE /jobs/:job_id
    *
    * Request cancellation.
-   * v1 behaviour:
-   * - If job is still queued, mark as failed with CANCELLED.
-   * - If job is running, we *acknowledge* the request but
-   *   do not actually kill the container yet (future work).
+   * - Queued jobs become 'cancelled' immediately.
+   * - Running jobs get their container stopped (SIGTERM, then SIGKILL after
+   *   cancel_grace_seconds); the scheduler records 'cancelled' once the
+   *   container is gone, so the response is 202.
+   * - Jobs already in a terminal state cannot be cancelled (409).
+   *
+   * Who asked is the authenticated credential id; with auth disabled it is
+   * taken from the X-Requested-By header or ?requested_by=, falling back to
+   * the caller's address.
    */
-  app.delete("/jobs/:job_id", (req, res) => {
+  app.delete("/jobs/:job_id", requireScope("submit"), (req, res) => {
     const jobId = req.params.job_id;
-    const record = jobStore.getJob(jobId);
+    const record = findJob(req, jobId);
 
     if (!record) {
       return res.status(404).json({
@@ -142,115 +527,1081 @@ export function registerRoutes(app, { jobStore, config }) {
       });
     }
 
-    if (record.state === "queued") {
-      const now = new Date().toISOString();
-      const updated = jobStore.updateJob(jobId, {
-        state: "failed",
-        finished_at: now,
+    if (TERMINAL_STATES.has(record.state)) {
+      return res.status(409).json({
+        job_id: record.job_id,
+        state: record.state,
         error: {
-          code: "CANCELLED",
-          message: "Job was cancelled before it started running"
+          code: "JOB_NOT_CANCELLABLE",
+          message: `Job is already ${record.state}`
         }
       });
+    }
+
+    const now = new Date().toISOString();
+    const cancellation = {
+      requested_by:
+        req.credential?.id || req.get("X-Requested-By") || req.query.requested_by || req.ip,
+      requested_at: now
+    };
+
+    // Only while still queued; if the scheduler has just started it, the
+    // running-job path below stops the container instead
+    const cancelledQueued = jobStore.transition(jobId, "queued", {
+      state: "cancelled",
+      finished_at: now,
+      cancellation,
+      error: {
+        code: "CANCELLED",
+        message: "Job was cancelled before it started running"
+      }
+    });
 
+    if (cancelledQueued) {
       return res.status(200).json({
-        job_id: updated.job_id,
-        state: updated.state,
+        job_id: cancelledQueued.job_id,
+        state: cancelledQueued.state,
+        cancellation,
         note: "Job cancelled before start"
       });
     }
 
-    // For running jobs, v1 doesn't actually kill the container yet.
-    // We just report that cancellation is not implemented.
+    jobStore.updateJob(jobId, { cancellation });
+    const stopping = backend.cancel(jobId, { graceSeconds: config.cancelGraceSeconds });
+
     return res.status(202).json({
       job_id: record.job_id,
       state: record.state,
-      note: "Cancellation for running jobs is not implemented in v1"
+      cancellation,
+      note: stopping
+        ? "Cancellation requested; job is being stopped"
+        : "Cancellation requested; job is not attached to this executor"
     });
   });
-}
 
 
-/**
- * Validate an incoming job object according to JOB_PROTOCOL v1.
- *
- * Returns:
- * - null if valid
- * - { code, message } if invalid
- */
-function validateJobRequest(job, config) {
-  if (!job || typeof job !== "object") {
-    return {
-      code: "INVALID_BODY",
-      message: "Request body must be a JSON object"
-    };
-  }
+  /**
+   * GET /admin/reservations
+   *
+   * Dedicated CPU reservations held by jobs and admins.
+   */
+  app.get("/admin/reservations", requireScope("admin"), (req, res) => {
+    return res.json({
+      cpu_threads: cpuReservations.cpuThreads,
+      reserved_cpu_ids: cpuReservations.reservedCpuIds(),
+      free_cpu_ids: cpuReservations.freeCpuIds().sort((a, b) => a - b),
+      reservations: cpuReservations.list()
+    });
+  });
 
-  if (job.protocol_version !== 1) {
-    return {
-      code: "UNSUPPORTED_PROTOCOL_VERSION",
-      message: `Unsupported protocol_version: ${job.protocol_version}. Only version 1 is supported.`
-    };
-  }
 
-  if (!job.job_id || typeof job.job_id !== "string") {
-    return {
-      code: "MISSING_JOB_ID",
-      message: "job_id must be a non-empty string"
-    };
-  }
+  /**
+   * POST /admin/reservations
+   *
+   * Reserve CPUs outside of jobs (benchmarks, pinned services).
+   * Body: { "count": 2 } or { "cpu_ids": [6, 7] }, plus optional "label".
+   */
+  app.post("/admin/reservations", requireScope("admin"), (req, res) => {
+    const body = req.body || {};
 
-  if (!job.runtime || typeof job.runtime !== "object") {
-    return {
-      code: "MISSING_RUNTIME",
-      message: "runtime must be provided and must be an object"
-    };
-  }
+    try {
+      const reservation = cpuReservations.reserve({
+        count: body.count,
+        cpuIds: body.cpu_ids,
+        label: body.label ?? null
+      });
+      return res.status(201).json(reservation);
+    } catch (err) {
+      if (!(err instanceof ReservationError)) throw err;
 
-  const mode = job.runtime.mode;
-  if (mode !== "image" && mode !== "build") {
-    return {
-      code: "BAD_RUNTIME_MODE",
-      message: `runtime.mode must be 'image' or 'build', got '${mode}'`
-    };
-  }
+      return res.status(err.code === "CPUS_UNAVAILABLE" ? 409 : 400).json({
+        error: {
+          code: err.code,
+          message: err.message
+        }
+      });
+    }
+  });
 
-  // v1: only 'image' is supported by default
-  if (mode === "build") {
-    return {
-      code: "RUNTIME_NOT_SUPPORTED",
-      message: "runtime.mode='build' is not supported on this worker"
-    };
-  }
 
-  if (!job.runtime.image || typeof job.runtime.image !== "string") {
-    return {
-      code: "MISSING_IMAGE",
-      message: "runtime.image must be a non-empty string when mode='image'"
-    };
-  }
+  /**
+   * DELETE /admin/reservations/:reservation_id
+   *
+   * Release an admin reservation. Job reservations end with their job.
+   */
+  app.delete("/admin/reservations/:reservation_id", requireScope("admin"), (req, res) => {
+    const reservationId = req.params.reservation_id;
 
-  // Optional: enforce allow-list of images from config
-  if (Array.isArray(config.allowedImages) && config.allowedImages.length > 0) {
-    const allowed = config.allowedImages;
-    const image = job.runtime.image;
+    if (!cpuReservations.release(reservationId)) {
+      return res.status(404).json({
+        error: {
+          code: "RESERVATION_NOT_FOUND",
+          message: `No admin reservation '${reservationId}'`
+        }
+      });
+    }
 
-    const isAllowed = allowed.some((pattern) => {
-      // Very simple pattern: "name:*" means "startsWith('name:')"
-      if (pattern.endsWith(":*")) {
-        const prefix = pattern.slice(0, -2); // remove ":*"
-        return image.startsWith(prefix + ":");
-      }
-      // Exact match
-      return image === pattern;
+    return res.json({
+      reservation_id: reservationId,
+      released: true
     });
+  });
 
-    if (!isAllowed) {
-      return {
-        code: "IMAGE_NOT_ALLOWED",
-        message: `Image '${image}' is not allowed on this worker`
-      };
-    }
+
+  /**
+   * POST /admin/drain
+   *
+   * Stop starting jobs; running jobs finish. Body (optional):
+   * { "mode": "reject" | "hold", "reason": "..." }; mode defaults to drain.mode.
+   */
+  app.post("/admin/drain", requireScope("admin"), (req, res) => {
+    const body = req.body || {};
+    const mode = body.mode ?? (workerDrain.draining ? workerDrain.mode : config.drain.mode);
+
+    if (!DRAIN_MODES.includes(mode)) {
+      return res.status(400).json({
+        error: {
+          code: "BAD_DRAIN_MODE",
+          message: `mode must be one of: ${DRAIN_MODES.join(", ")}`
+        }
+      });
+    }
+
+    workerDrain.drain({
+      mode,
+      reason: typeof body.reason === "string" ? body.reason : null
+    });
+    return res.json(drainResponse(jobStore));
+  });
+
+
+  /**
+   * POST /admin/undrain
+   *
+   * Accept and start jobs again (not possible once shutting down).
+   */
+  app.post("/admin/undrain", requireScope("admin"), (req, res) => {
+    if (!workerDrain.undrain()) {
+      return res.status(409).json({
+        error: {
+          code: "SHUTTING_DOWN",
+          message: "Worker is shutting down and cannot be undrained"
+        }
+      });
+    }
+    return res.json(drainResponse(jobStore));
+  });
+
+
+  // The image routes need a container backend; local/fake have no images
+  const requireImages = (req, res, next) => {
+    if (backend.managesImages) return next();
+    return res.status(501).json({
+      error: {
+        code: "NOT_SUPPORTED",
+        message: `Backend '${backend.name}' does not use container images`
+      }
+    });
+  };
+
+
+  /**
+   * GET /images
+   *
+   * Local Docker images, most recently used first, with Docker disk space.
+   */
+  app.get("/images", requireScope("read"), requireImages, async (req, res) => {
+    try {
+      const images = await imageManager.list(imagesInUse(jobStore));
+      return res.json({
+        docker_disk_available_mb: getDockerDisk().dockerDisk?.availableMb ?? null,
+        images
+      });
+    } catch (err) {
+      return sendImageError(res, err);
+    }
+  });
+
+
+  /**
+   * POST /images/pull
+   *
+   * Start pulling an image in the background (warm the worker before a
+   * batch). Body: { "image": "python:3.12-slim" }. Returns 202 with the pull;
+   * poll GET /images/pulls/:pull_id for progress.
+   */
+  app.post("/images/pull", requireScope("submit"), requireImages, (req, res) => {
+    const image = req.body?.image;
+
+    if (typeof image !== "string" || image.trim() === "") {
+      return res.status(400).json({
+        error: {
+          code: "BAD_IMAGE",
+          message: "image must be a non-empty string"
+        }
+      });
+    }
+
+    if (!isImageAllowed(image, config.allowedImages)) {
+      return res.status(400).json({
+        error: {
+          code: "IMAGE_NOT_ALLOWED",
+          message: `Image '${image}' is not allowed on this worker`
+        }
+      });
+    }
+
+    const pull = imageManager.startPull(image, { timeoutMs: config.images.pullTimeoutSeconds * 1000 });
+    return res.status(202).json(serializePull(pull));
+  });
+
+
+  /**
+   * GET /images/pulls
+   *
+   * Running and recently finished pulls.
+   */
+  app.get("/images/pulls", requireScope("read"), requireImages, (req, res) => {
+    return res.json({ pulls: imageManager.listPulls().map(serializePull) });
+  });
+
+
+  /**
+   * GET /images/pulls/:pull_id
+   */
+  app.get("/images/pulls/:pull_id", requireScope("read"), requireImages, (req, res) => {
+    const pull = imageManager.getPull(req.params.pull_id);
+
+    if (!pull) {
+      return res.status(404).json({
+        error: {
+          code: "PULL_NOT_FOUND",
+          message: `No pull '${req.params.pull_id}' on this worker`
+        }
+      });
+    }
+
+    return res.json(serializePull(pull));
+  });
+
+
+  /**
+   * DELETE /images/:ref
+   *
+   * Remove an image reference (URL-encode it, or pass it as path segments:
+   * /images/ghcr.io/acme/tool:1). Refused with 409 while a queued or
+   * running job needs it.
+   */
+  app.delete("/images/*ref", requireScope("admin"), requireImages, async (req, res) => {
+    const ref = [].concat(req.params.ref).join("/");
+
+    try {
+      await imageManager.remove(ref, imagesInUse(jobStore));
+      return res.json({ image: ref, removed: true });
+    } catch (err) {
+      return sendImageError(res, err);
+    }
+  });
+}
+
+
+/**
+ * { status, body } of a refused submission, in the POST /jobs shape.
+ *
+ * @param {number} status - HTTP status
+ * @param {unknown} job - the job as submitted
+ * @param {{ code: string, message: string, details?: object[] }} error
+ */
+function rejection(status, job, error) {
+  return {
+    status,
+    body: {
+      accepted: false,
+      job_id: job?.job_id ?? null,
+      state: "rejected",
+      error
+    }
+  };
+}
+
+
+/**
+ * Body of the drain/undrain responses.
+ */
+function drainResponse(jobStore) {
+  return {
+    draining: workerDrain.draining,
+    drain: workerDrain.status(),
+    running_jobs: jobStore.getRunningJobCount(),
+    queued_jobs: jobStore.getJobsByState("queued").length
+  };
+}
+
+/**
+ * Public shape of an image pull (drops the per-layer bookkeeping).
+ */
+function serializePull(pull) {
+  return {
+    pull_id: pull.pull_id,
+    image: pull.ref,
+    state: pull.state,
+    started_at: pull.started_at,
+    finished_at: pull.finished_at,
+    digest: pull.digest,
+    progress: pull.progress,
+    error: pull.error
+  };
+}
+
+
+/**
+ * Map an ImageError to its HTTP status.
+ */
+function sendImageError(res, err) {
+  if (!(err instanceof ImageError)) throw err;
+
+  const status = { IMAGE_NOT_FOUND: 404, IMAGE_IN_USE: 409 }[err.code] || 502;
+  return res.status(status).json({
+    error: {
+      code: err.code,
+      message: err.message
+    }
+  });
+}
+
+
+/**
+ * Public shape of a job record, as returned by GET /jobs/:job_id
+ * (and POSTed by completion webhooks).
+ */
+export function serializeJob(record) {
+  const response = {
+    job_id: record.job_id,
+    state: record.state,
+    created_at: record.created_at,
+    started_at: record.started_at,
+    finished_at: record.finished_at,
+    exit_code: record.exit_code,
+    stdout: record.stdout,
+    stderr: record.stderr,
+    error: record.error,
+    // Executor phase (building/pulling/preparing/running/collecting) and when each began
+    phase: record.phase ?? null,
+    phase_timestamps: record.phase_timestamps || {},
+    cancellation: record.cancellation || null,
+    submitted_by: record.submitted_by ?? null,
+    // Hash of the job as submitted (canonical JSON); resubmissions are compared to it
+    content_hash: record.content_hash ?? null,
+    // One entry per finished attempt (runtime.retry); the current one is above
+    attempts: record.attempts || [],
+    // Set while a retry waits out its backoff
+    not_before: record.not_before ?? null,
+    // Completed from the result cache (runtime.cache_result) instead of run
+    cache_hit: record.cache_hit ?? false,
+    // Resources the job used (usage.js); set when it ends
+    usage: record.usage ?? null
+  };
+
+  // Build-mode jobs: build output is kept apart from the run's stdout/stderr
+  if (record.build) {
+    response.build = record.build;
+  }
+
+  // Container hardening actually applied (set when the job starts)
+  if (record.sandbox) {
+    response.sandbox = record.sandbox;
+  }
+
+  if (record.artifacts) {
+    response.artifacts = record.artifacts;
+    response.artifacts_skipped = record.artifacts_skipped || [];
+  }
+
+  if (record.job?.callback) {
+    response.callback_deliveries = record.callback_deliveries || [];
+  }
+
+  return response;
+}
+
+
+/**
+ * Translate GET /jobs query parameters into a jobStore.listJobs() filter.
+ *
+ * Returns { filter } or { error: { code, message } }.
+ */
+function parseListQuery(query) {
+  const filter = {};
+
+  if (query.state) {
+    filter.states = String(query.state).split(",").map((s) => s.trim()).filter(Boolean);
+  }
+
+  const timeParams = {
+    created_after: "createdAfter",
+    created_before: "createdBefore",
+    finished_after: "finishedAfter",
+    finished_before: "finishedBefore"
+  };
+
+  for (const [param, key] of Object.entries(timeParams)) {
+    if (query[param] === undefined) continue;
+
+    const ms = Date.parse(String(query[param]));
+    if (!Number.isFinite(ms)) {
+      return {
+        error: {
+          code: "INVALID_QUERY",
+          message: `${param} must be an ISO 8601 timestamp`
+        }
+      };
+    }
+    filter[key] = ms;
+  }
+
+  if (query.image) filter.image = String(query.image);
+  if (query.task_type) filter.taskType = String(query.task_type);
+
+  const limit = query.limit === undefined ? DEFAULT_LIST_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+    return {
+      error: {
+        code: "INVALID_QUERY",
+        message: `limit must be an integer between 1 and ${MAX_LIST_LIMIT}`
+      }
+    };
+  }
+  filter.limit = limit;
+
+  if (query.cursor) {
+    const after = decodeListCursor(String(query.cursor));
+    if (!after) {
+      return {
+        error: {
+          code: "INVALID_QUERY",
+          message: "cursor is not a valid next_cursor value"
+        }
+      };
+    }
+    filter.after = after;
+  }
+
+  return { filter };
+}
+
+
+/**
+ * Opaque pagination cursor: position of the last record on the page.
+ */
+function encodeListCursor(record) {
+  return Buffer.from(JSON.stringify([record.created_at, record.job_id])).toString("base64url");
+}
+
+function decodeListCursor(cursor) {
+  try {
+    const [createdAt, jobId] = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (typeof createdAt !== "string" || typeof jobId !== "string") return null;
+    return { createdAt, jobId };
+  } catch {
+    return null;
+  }
+}
+
+
+/**
+ * Job record without the large fields, for listings.
+ */
+function summarizeJob(record) {
+  return {
+    job_id: record.job_id,
+    state: record.state,
+    created_at: record.created_at,
+    started_at: record.started_at,
+    finished_at: record.finished_at,
+    exit_code: record.exit_code,
+    error: record.error,
+    phase: record.phase ?? null,
+    submitted_by: record.submitted_by ?? null,
+    image: jobImage(record),
+    task_type: record.job?.task?.type ?? null
+  };
+}
+
+
+/**
+ * Resume offsets for GET /jobs/:job_id/logs.
+ * Last-Event-ID (SSE reconnect) wins over the query string.
+ */
+function parseLogOffsets(req) {
+  const toOffset = (value) => {
+    const n = Number.parseInt(value ?? "0", 10);
+    return Number.isFinite(n) && n > 0 ? n : 0;
+  };
+
+  const lastEventId = req.get("Last-Event-ID");
+  if (lastEventId && /^\d+:\d+$/.test(lastEventId)) {
+    const [stdout, stderr] = lastEventId.split(":");
+    return { stdout: toOffset(stdout), stderr: toOffset(stderr) };
+  }
+
+  return {
+    stdout: toOffset(req.query.stdout_offset),
+    stderr: toOffset(req.query.stderr_offset)
+  };
+}
+
+
+/**
+ * Output of a job so far: the live buffer while it runs, the record after.
+ */
+function currentOutput(record) {
+  return jobLogs.get(record.job_id) || {
+    stdout: record.stdout || "",
+    stderr: record.stderr || ""
+  };
+}
+
+
+/**
+ * Serve a job's logs as Server-Sent Events.
+ *
+ * Event types:
+ * - "stdout" / "stderr": data = { offset, data }
+ * - "end": data = { state, exit_code, error }, sent once the job is terminal
+ */
+function streamJobLogs(req, res, jobStore, record, offsets) {
+  const jobId = record.job_id;
+  const sent = { ...offsets };
+
+  res.status(200).set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+  res.flushHeaders();
+
+  // Send whatever lies past our offset in the full text of one stream
+  const sendNew = (stream, fullText) => {
+    if (fullText.length <= sent[stream]) return;
+
+    const offset = sent[stream];
+    sent[stream] = fullText.length;
+
+    res.write(`id: ${sent.stdout}:${sent.stderr}\n`);
+    res.write(`event: ${stream}\n`);
+    res.write(`data: ${JSON.stringify({ offset, data: fullText.slice(offset) })}\n\n`);
+  };
+
+  const sendAll = (rec) => {
+    const output = currentOutput(rec);
+    sendNew("stdout", output.stdout);
+    sendNew("stderr", output.stderr);
+  };
+
+  const onOutput = (id, chunk) => {
+    if (id !== jobId) return;
+    const live = jobLogs.get(jobId);
+    if (live) sendNew(chunk.stream, live[chunk.stream]);
+  };
+
+  let attempts = (record.attempts || []).length;
+  const onUpdated = (updated) => {
+    if (updated.job_id !== jobId) return;
+    if (TERMINAL_STATES.has(updated.state)) return finish(updated);
+
+    // Requeued for a retry: the new attempt's output starts from empty
+    const count = (updated.attempts || []).length;
+    if (count === attempts) return;
+    attempts = count;
+    sent.stdout = 0;
+    sent.stderr = 0;
+    res.write("id: 0:0\n");
+    res.write("event: attempt\n");
+    res.write(`data: ${JSON.stringify({ attempt: count + 1, not_before: updated.not_before ?? null })}\n\n`);
+  };
+
+  const keepalive = setInterval(() => {
+    res.write(": keepalive\n\n");
+  }, LOG_STREAM_KEEPALIVE_MS);
+
+  const cleanup = () => {
+    clearInterval(keepalive);
+    jobLogs.off("output", onOutput);
+    jobStore.off("updated", onUpdated);
+  };
+
+  const finish = (rec) => {
+    sendAll(rec);
+    res.write("event: end\n");
+    res.write(`data: ${JSON.stringify({ state: rec.state, exit_code: rec.exit_code, error: rec.error })}\n\n`);
+    cleanup();
+    res.end();
+  };
+
+  req.on("close", cleanup);
+
+  sendAll(record);
+
+  if (TERMINAL_STATES.has(record.state)) {
+    return finish(record);
+  }
+
+  jobLogs.on("output", onOutput);
+  jobStore.on("updated", onUpdated);
+}
+
+
+// Error code for a schema violation the rule checks below let through,
+// by the JSON pointer of the offending field (first matching prefix)
+const SCHEMA_ERROR_CODES = [
+  ["/protocol_version", "UNSUPPORTED_PROTOCOL_VERSION"],
+  ["/job_id", "MISSING_JOB_ID"],
+  ["/runtime/mode", "BAD_RUNTIME_MODE"],
+  ["/runtime/image", "MISSING_IMAGE"],
+  ["/runtime/build/context", "BAD_BUILD_CONTEXT"],
+  ["/runtime/build", "MISSING_BUILD"],
+  ["/runtime/limits", "BAD_LIMITS"],
+  ["/runtime/workspace", "BAD_WORKSPACE"],
+  ["/runtime/sandbox", "BAD_SANDBOX"],
+  ["/runtime/retry", "BAD_RETRY"],
+  ["/runtime/cache_result", "BAD_CACHE"],
+  ["/callback", "BAD_CALLBACK"],
+  ["/task", "BAD_TASK"],
+  ["/runtime/cmd", "BAD_RUNTIME"],
+  ["/runtime/env", "BAD_RUNTIME"],
+  ["/runtime", "MISSING_RUNTIME"]
+];
+
+/**
+ * Validate an incoming job object according to JOB_PROTOCOL v1.
+ *
+ * The JSON Schema (schema/job.v1.schema.json) is checked first and every
+ * violation is returned in `details` as { pointer, message }. `code` stays
+ * what the rule checks below have always returned, so existing masters
+ * keep working; violations only the schema catches get a code for the
+ * field they are in.
+ *
+ * Returns:
+ * - null if valid
+ * - { code, message, details? } if invalid
+ */
+function validateJobRequest(job, config) {
+  const violations = validateJobSchema(job);
+  const ruleError = checkJobRules(job, config);
+
+  if (violations.length === 0) {
+    return ruleError;
+  }
+
+  const first = violations[0];
+  const primary = ruleError || {
+    code: schemaErrorCode(first.pointer),
+    message: `${first.pointer || "job"} ${first.message}`
+  };
+
+  return {
+    ...primary,
+    message:
+      violations.length > 1 ? `${primary.message} (and ${violations.length - 1} more, see details)` : primary.message,
+    details: violations
+  };
+}
+
+function schemaErrorCode(pointer) {
+  const match = SCHEMA_ERROR_CODES.find(([prefix]) => pointer === prefix || pointer.startsWith(`${prefix}/`));
+  return match ? match[1] : "INVALID_BODY";
+}
+
+/**
+ * The job rules: protocol checks plus this worker's policy (modes, images,
+ * limits, sandbox overrides, callback secrets, capacity).
+ *
+ * Returns:
+ * - null if valid
+ * - { code, message } for the first problem
+ */
+function checkJobRules(job, config) {
+  if (!job || typeof job !== "object") {
+    return {
+      code: "INVALID_BODY",
+      message: "Request body must be a JSON object"
+    };
+  }
+
+  if (job.protocol_version !== 1) {
+    return {
+      code: "UNSUPPORTED_PROTOCOL_VERSION",
+      message: `Unsupported protocol_version: ${job.protocol_version}. Only version 1 is supported.`
+    };
+  }
+
+  if (!job.job_id || typeof job.job_id !== "string") {
+    return {
+      code: "MISSING_JOB_ID",
+      message: "job_id must be a non-empty string"
+    };
+  }
+
+  if (!job.runtime || typeof job.runtime !== "object") {
+    return {
+      code: "MISSING_RUNTIME",
+      message: "runtime must be provided and must be an object"
+    };
+  }
+
+  const mode = job.runtime.mode;
+  if (!RUNTIME_MODES.includes(mode)) {
+    return {
+      code: "BAD_RUNTIME_MODE",
+      message: `runtime.mode must be one of ${RUNTIME_MODES.map((m) => `'${m}'`).join(", ")}, got '${mode}'`
+    };
+  }
+
+  if (!config.allowedModes.includes(mode)) {
+    return {
+      code: "MODE_NOT_ALLOWED",
+      message: `runtime.mode '${mode}' is not allowed on this worker (allowed: ${config.allowedModes.join(", ")})`
+    };
+  }
+
+  const workspaceError = validateWorkspaceSpec(job.runtime.workspace);
+  if (workspaceError) {
+    return workspaceError;
+  }
+
+  const callbackError = validateCallbackSpec(job.callback, config);
+  if (callbackError) {
+    return callbackError;
+  }
+
+  const limitsError = validateLimits(job.runtime.limits);
+  if (limitsError) {
+    return limitsError;
+  }
+
+  const sandboxError = validateSandboxSpec(job.runtime.sandbox, config.sandbox);
+  if (sandboxError) {
+    return sandboxError;
+  }
+
+  const limitPolicy = applyLimitPolicy(job.runtime.limits, config.limits);
+  if (limitPolicy.error) {
+    return limitPolicy.error;
+  }
+
+  // Jobs that could never fit here are rejected now instead of queueing forever
+  const capacityError = exceedsWorkerCapacity(
+    { job: { runtime: { limits: limitPolicy.limits } } },
+    getHostResources(),
+    config.resources
+  );
+  if (capacityError) {
+    return {
+      code: "INSUFFICIENT_WORKER_RESOURCES",
+      message: capacityError
+    };
+  }
+
+  // Cached results are keyed by image digest and hold no artifacts
+  if (job.runtime.cache_result === true) {
+    if (mode !== "image") {
+      return {
+        code: "BAD_CACHE",
+        message: "runtime.cache_result is only supported for mode='image'"
+      };
+    }
+    const outputs = job.runtime.workspace?.outputs;
+    if (Array.isArray(outputs) && outputs.length > 0) {
+      return {
+        code: "BAD_CACHE",
+        message: "runtime.cache_result cannot be combined with runtime.workspace.outputs (artifacts are not cached)"
+      };
+    }
+  }
+
+  if (mode === "build") {
+    return validateBuildSpec(job.runtime.build) || checkBuildImages(job.runtime.build.dockerfile, config.allowedImages);
+  }
+
+  // A host process: runtime.cmd is the whole command, there is no image
+  if (mode === "process") {
+    if (!Array.isArray(job.runtime.cmd) || job.runtime.cmd.length === 0) {
+      return {
+        code: "MISSING_CMD",
+        message: "runtime.cmd must be a non-empty array when mode='process'"
+      };
+    }
+    return null;
+  }
+
+  if (!job.runtime.image || typeof job.runtime.image !== "string") {
+    return {
+      code: "MISSING_IMAGE",
+      message: "runtime.image must be a non-empty string when mode='image'"
+    };
+  }
+
+  // Allow-list of images from config (see policy.js for the pattern syntax)
+  if (!isImageAllowed(job.runtime.image, config.allowedImages)) {
+    return {
+      code: "IMAGE_NOT_ALLOWED",
+      message: `Image '${job.runtime.image}' is not allowed on this worker`
+    };
+  }
+
+  return null;
+}
+
+
+/**
+ * Validate runtime.build for mode = "build".
+ *
+ * Returns:
+ * - null if valid
+ * - { code, message } if invalid
+ */
+function validateBuildSpec(build) {
+  if (!build || typeof build !== "object") {
+    return {
+      code: "MISSING_BUILD",
+      message: "runtime.build must be an object when mode='build'"
+    };
+  }
+
+  if (!build.dockerfile || typeof build.dockerfile !== "string") {
+    return {
+      code: "MISSING_BUILD",
+      message: "runtime.build.dockerfile must be a non-empty string"
+    };
+  }
+
+  if (build.context === undefined) {
+    return null;
+  }
+
+  if (!Array.isArray(build.context)) {
+    return {
+      code: "BAD_BUILD_CONTEXT",
+      message: "runtime.build.context must be an array of files"
+    };
+  }
+
+  for (const [i, file] of build.context.entries()) {
+    if (!file || typeof file !== "object" || !isSafeRelativePath(file.path)) {
+      return {
+        code: "BAD_BUILD_CONTEXT",
+        message: `runtime.build.context[${i}].path must be a relative path inside the build context`
+      };
+    }
+
+    if (typeof file.content !== "string") {
+      return {
+        code: "BAD_BUILD_CONTEXT",
+        message: `runtime.build.context[${i}].content must be a string`
+      };
+    }
+
+    const encoding = file.encoding ?? "utf8";
+    if (encoding !== "utf8" && encoding !== "base64") {
+      return {
+        code: "BAD_BUILD_CONTEXT",
+        message: `runtime.build.context[${i}].encoding must be 'utf8' or 'base64'`
+      };
+    }
+  }
+
+  return null;
+}
+
+
+/**
+ * Check the images a build's Dockerfile pulls against allowed_images, so
+ * build jobs cannot get around the allow-list.
+ *
+ * Returns:
+ * - null if every image is allowed (or the list is empty)
+ * - { code: "IMAGE_NOT_ALLOWED", message } otherwise
+ */
+function checkBuildImages(dockerfile, allowedImages) {
+  if (!Array.isArray(allowedImages) || allowedImages.length === 0) {
+    return null;
+  }
+
+  const { images, unresolved } = dockerfileImages(dockerfile);
+  if (unresolved.length > 0) {
+    return {
+      code: "IMAGE_NOT_ALLOWED",
+      message: `Dockerfile image '${unresolved[0]}' depends on a build argument and cannot be checked against this worker's allowed images`
+    };
+  }
+
+  const denied = images.find((image) => !isImageAllowed(image, allowedImages));
+  if (denied) {
+    return {
+      code: "IMAGE_NOT_ALLOWED",
+      message: `Dockerfile image '${denied}' is not allowed on this worker`
+    };
+  }
+
+  return null;
+}
+
+
+/**
+ * Validate the optional runtime.workspace block.
+ *
+ * Returns:
+ * - null if valid (or absent)
+ * - { code, message } if invalid
+ */
+function validateWorkspaceSpec(workspace) {
+  if (workspace === undefined) {
+    return null;
+  }
+
+  if (!workspace || typeof workspace !== "object") {
+    return {
+      code: "BAD_WORKSPACE",
+      message: "runtime.workspace must be an object"
+    };
+  }
+
+  const inputs = workspace.inputs ?? [];
+  const outputs = workspace.outputs ?? [];
+
+  if (!Array.isArray(inputs) || !Array.isArray(outputs)) {
+    return {
+      code: "BAD_WORKSPACE",
+      message: "runtime.workspace.inputs and runtime.workspace.outputs must be arrays"
+    };
+  }
+
+  for (const [i, file] of inputs.entries()) {
+    if (!file || typeof file !== "object" || !isSafeRelativePath(file.path)) {
+      return {
+        code: "BAD_WORKSPACE",
+        message: `runtime.workspace.inputs[${i}].path must be a relative path inside the workspace`
+      };
+    }
+
+    if (typeof file.content !== "string") {
+      return {
+        code: "BAD_WORKSPACE",
+        message: `runtime.workspace.inputs[${i}].content must be a string`
+      };
+    }
+
+    const encoding = file.encoding ?? "utf8";
+    if (encoding !== "utf8" && encoding !== "base64") {
+      return {
+        code: "BAD_WORKSPACE",
+        message: `runtime.workspace.inputs[${i}].encoding must be 'utf8' or 'base64'`
+      };
+    }
+  }
+
+  for (const [i, output] of outputs.entries()) {
+    if (!isSafeRelativePath(output)) {
+      return {
+        code: "BAD_WORKSPACE",
+        message: `runtime.workspace.outputs[${i}] must be a relative path inside the workspace`
+      };
+    }
+  }
+
+  return null;
+}
+
+
+/**
+ * Validate the optional top-level callback block.
+ *
+ * Returns:
+ * - null if valid (or absent)
+ * - { code, message } if invalid
+ */
+function validateCallbackSpec(callback, config) {
+  if (callback === undefined) {
+    return null;
+  }
+
+  if (!callback || typeof callback !== "object") {
+    return {
+      code: "BAD_CALLBACK",
+      message: "callback must be an object"
+    };
+  }
+
+  let url;
+  try {
+    url = new URL(callback.url);
+  } catch {
+    url = null;
+  }
+  if (!url || (url.protocol !== "http:" && url.protocol !== "https:")) {
+    return {
+      code: "BAD_CALLBACK",
+      message: "callback.url must be an http(s) URL"
+    };
+  }
+
+  if (
+    callback.events !== undefined &&
+    (!Array.isArray(callback.events) || !callback.events.every((e) => CALLBACK_EVENTS.includes(e)))
+  ) {
+    return {
+      code: "BAD_CALLBACK",
+      message: `callback.events must be an array of: ${CALLBACK_EVENTS.join(", ")}`
+    };
+  }
+
+  if (typeof callback.secret_id !== "string" || !Object.hasOwn(config.webhooks.secrets, callback.secret_id)) {
+    return {
+      code: "UNKNOWN_CALLBACK_SECRET",
+      message: "callback.secret_id must name a secret configured on this worker"
+    };
+  }
+
+  return null;
+}
+
+
+/**
+ * Validate the numeric fields of runtime.limits that the scheduler and
+ * executor rely on.
+ *
+ * Returns:
+ * - null if valid (or absent)
+ * - { code, message } if invalid
+ */
+function validateLimits(limits) {
+  if (limits === undefined) {
+    return null;
+  }
+
+  if (!limits || typeof limits !== "object") {
+    return {
+      code: "BAD_LIMITS",
+      message: "runtime.limits must be an object"
+    };
+  }
+
+  for (const field of ["memory_mb", "cpus", "max_runtime_seconds"]) {
+    const value = limits[field];
+    if (value !== undefined && (typeof value !== "number" || !(value > 0))) {
+      return {
+        code: "BAD_LIMITS",
+        message: `runtime.limits.${field} must be a positive number`
+      };
+    }
+  }
+
+  const dedicated = limits.dedicated_cpus;
+  if (dedicated !== undefined && (!Number.isInteger(dedicated) || dedicated < 1)) {
+    return {
+      code: "BAD_LIMITS",
+      message: "runtime.limits.dedicated_cpus must be a positive integer"
+    };
   }
 
   return null;
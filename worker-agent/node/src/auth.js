@@ -0,0 +1,155 @@
+import crypto from "crypto";
+
+/**
+ * Authentication for masters calling the worker API.
+ *
+ * Configured under `auth` in the worker YAML. Each credential has an id, a
+ * shared key and a scope:
+ * - read:   GET /info, GET /health, GET /metrics
+ * - submit: read + submit jobs, and read/cancel the jobs it submitted
+ * - admin:  everything, on every job
+ *
+ * Two modes:
+ * - bearer: `Authorization: Bearer <key>`
+ * - hmac:   the key never travels; requests carry
+ *             X-PC-Key-Id:    credential id
+ *             X-PC-Timestamp: unix seconds (must be within max_clock_skew_seconds)
+ *             X-PC-Signature: "sha256=" + hex(HMAC_SHA256(key, `${timestamp}.${METHOD}.${path+query}.${raw body}`))
+ *
+ * A credential may sign its jobs' completion callbacks with the webhook
+ * secrets listed in its callback_secrets (default: the secret named like its
+ * id), so one master cannot have the worker sign with another's secret.
+ *
+ * With auth disabled every request is treated as admin (v1 behaviour).
+ */
+
+const SCOPE_RANK = { read: 1, submit: 2, admin: 3 };
+
+export const AUTH_SCOPES = Object.keys(SCOPE_RANK);
+
+/**
+ * Express middleware that identifies the caller and sets req.credential
+ * to { id, scope } (or null when auth is disabled).
+ *
+ * @param {import("./config.js").config} config
+ */
+export function authenticate(config) {
+  return (req, res, next) => {
+    const auth = config.auth;
+
+    if (!auth.enabled) {
+      req.credential = null;
+      return next();
+    }
+
+    const credential = auth.mode === "hmac" ? verifyHmac(req, auth) : verifyBearer(req, auth);
+
+    if (!credential) {
+      return res.status(401).json({
+        error: {
+          code: "UNAUTHORIZED",
+          message: "Missing or invalid credentials"
+        }
+      });
+    }
+
+    req.credential = { id: credential.id, scope: credential.scope, callbackSecrets: credential.callbackSecrets };
+    return next();
+  };
+}
+
+/**
+ * Express middleware: reject callers whose scope is below `scope`.
+ *
+ * @param {"read" | "submit" | "admin"} scope
+ */
+export function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req.credential, scope)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      error: {
+        code: "FORBIDDEN",
+        message: `This endpoint requires '${scope}' scope`
+      }
+    });
+  };
+}
+
+/**
+ * Does this caller have at least `scope`? A null credential (auth disabled)
+ * has every scope.
+ */
+export function hasScope(credential, scope) {
+  if (!credential) return true;
+  return (SCOPE_RANK[credential.scope] || 0) >= SCOPE_RANK[scope];
+}
+
+/**
+ * May this caller see / cancel this job? Admins see everything, others only
+ * the jobs they submitted.
+ */
+export function canAccessJob(credential, record) {
+  if (hasScope(credential, "admin")) return true;
+  return record.submitted_by === credential.id;
+}
+
+/**
+ * May this caller have callbacks signed with webhook secret `secretId`?
+ * Always with auth disabled; otherwise only secrets in its callback_secrets,
+ * whatever its scope.
+ */
+export function canUseCallbackSecret(credential, secretId) {
+  if (!credential) return true;
+  return credential.callbackSecrets.includes(secretId);
+}
+
+/**
+ * `express.json({ verify })` hook that keeps the raw body for HMAC checks.
+ */
+export function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+function verifyBearer(req, auth) {
+  const header = req.get("Authorization") || "";
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (!match) return null;
+
+  const presented = match[1].trim();
+  return auth.credentials.find((c) => safeEqual(c.key, presented)) || null;
+}
+
+function verifyHmac(req, auth) {
+  const keyId = req.get("X-PC-Key-Id");
+  const timestamp = req.get("X-PC-Timestamp");
+  const signature = req.get("X-PC-Signature");
+  if (!keyId || !timestamp || !signature) return null;
+
+  const credential = auth.credentials.find((c) => c.id === keyId);
+  if (!credential) return null;
+
+  const skew = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!Number.isFinite(skew) || skew > auth.maxClockSkewSeconds) return null;
+
+  const body = req.rawBody ? req.rawBody.toString("utf8") : "";
+  const expected =
+    "sha256=" +
+    crypto
+      .createHmac("sha256", credential.key)
+      .update(`${timestamp}.${req.method}.${req.originalUrl}.${body}`)
+      .digest("hex");
+
+  return safeEqual(expected, signature) ? credential : null;
+}
+
+/**
+ * Constant-time string comparison.
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
@@ -0,0 +1,157 @@
+import { spawn } from "child_process";
+
+import { collectArtifacts } from "../workspace.js";
+
+/**
+ * Helpers shared by the execution backends.
+ */
+
+/**
+ * Book-keeping for one job a backend is executing. cancel() resolves
+ * whenCancelled, for phases that have no process to kill.
+ *
+ * @param {object} [fields] - backend-specific fields (child, containerName, ...)
+ * @returns {{ cancelled: boolean, whenCancelled: Promise<void>, cancel: () => void, child: object | null }}
+ */
+export function createRun(fields = {}) {
+  const run = { child: null, cancelled: false, whenCancelled: null, cancel: null, ...fields };
+  run.whenCancelled = new Promise((resolve) => {
+    run.cancel = resolve;
+  });
+  return run;
+}
+
+/**
+ * collectArtifacts() that never throws; a host-side copy failure is reported
+ * as a skipped entry rather than failing a job that otherwise ran fine.
+ */
+export function collectOutputs(jobRecord, workspaceDir, options) {
+  try {
+    return collectArtifacts(jobRecord, workspaceDir, {
+      artifactsDir: options.artifactsDir,
+      maxFileBytes: options.maxArtifactFileBytes ?? Infinity,
+      maxTotalBytes: options.maxArtifactTotalBytes ?? Infinity
+    });
+  } catch (err) {
+    console.error(`[executor] Failed to collect artifacts for job ${jobRecord.job_id}:`, err);
+    return { artifacts: [], skipped: [{ name: "*", reason: "COLLECT_FAILED" }] };
+  }
+}
+
+/**
+ * Kill a child process, ignoring "already exited" errors.
+ */
+export function killQuietly(child, signal = "SIGKILL") {
+  if (!child) return;
+  try {
+    child.kill(signal);
+  } catch (e) {
+    // ignore
+  }
+}
+
+/**
+ * Run `command`, pipe `stdinPayload` into its stdin, enforce a timeout, and
+ * capture stdout/stderr (also passed to run.onOutput as it arrives).
+ *
+ * @param {{ child: object | null, cancelled: boolean, onOutput?: Function }} run - run.child is set once spawned
+ * @param {string} command
+ * @param {string[]} args
+ * @param {object} options
+ * @param {string} options.stdinPayload
+ * @param {number} options.timeoutMs - 0 disables the timeout
+ * @param {string} options.spawnErrorCode - errorCode when the command cannot be started
+ * @param {(child: object) => void} options.onTimeout - stop whatever the command started
+ * @param {object} [options.spawnOptions] - extra spawn() options (cwd, env, detached)
+ * @returns {Promise<{ exitCode: number | null, stdout: string, stderr: string, errorCode: string | null }>}
+ */
+export function runWithTimeout(run, command, args, { stdinPayload, timeoutMs, spawnErrorCode, onTimeout, spawnOptions = {} }) {
+  return new Promise((resolve) => {
+    let stdout = "";
+    let stderr = "";
+    let finished = false;
+    let timeoutHandle = null;
+
+    let child;
+    try {
+      child = spawn(command, args, {
+        ...spawnOptions,
+        stdio: ["pipe", "pipe", "pipe"]
+      });
+    } catch (err) {
+      return resolve({
+        exitCode: null,
+        stdout: "",
+        stderr: `Failed to start ${command}: ${err.message || String(err)}`,
+        errorCode: spawnErrorCode
+      });
+    }
+    run.child = child;
+
+    // Collect stdout
+    child.stdout.on("data", (data) => {
+      const text = data.toString();
+      stdout += text;
+      if (run.onOutput) run.onOutput("stdout", text);
+    });
+
+    // Collect stderr
+    child.stderr.on("data", (data) => {
+      const text = data.toString();
+      stderr += text;
+      if (run.onOutput) run.onOutput("stderr", text);
+    });
+
+    // Handle normal exit
+    child.on("exit", (code) => {
+      if (finished) return;
+      finished = true;
+      if (timeoutHandle) {
+        clearTimeout(timeoutHandle);
+      }
+      resolve({
+        exitCode: code,
+        stdout,
+        stderr,
+        errorCode: run.cancelled ? "CANCELLED" : null
+      });
+    });
+
+    // Handle spawn errors
+    child.on("error", (err) => {
+      if (finished) return;
+      finished = true;
+      if (timeoutHandle) {
+        clearTimeout(timeoutHandle);
+      }
+      resolve({
+        exitCode: null,
+        stdout,
+        stderr: stderr + `\n[executor] ${command} spawn error: ${err.message || String(err)}`,
+        errorCode: spawnErrorCode
+      });
+    });
+
+    // Enforce timeout
+    if (timeoutMs > 0) {
+      timeoutHandle = setTimeout(() => {
+        if (finished) return;
+        finished = true;
+        onTimeout(child);
+        resolve({
+          exitCode: null,
+          stdout,
+          stderr: stderr + "\n[executor] Job timed out",
+          errorCode: "TIMEOUT"
+        });
+      }, timeoutMs);
+    }
+
+    // Send payload to stdin; a command that exits without reading it is fine
+    child.stdin.on("error", () => {});
+    if (stdinPayload && stdinPayload.length > 0) {
+      child.stdin.write(stdinPayload);
+    }
+    child.stdin.end();
+  });
+}
@@ -0,0 +1,401 @@
+import fs from "fs";
+import { spawn } from "child_process";
+
+import { ensureBuiltImage } from "../builder.js";
+import {
+  CONTAINER_WORKSPACE_PATH,
+  jobSlug,
+  prepareWorkspace,
+  removeWorkspace
+} from "../workspace.js";
+import { sandboxDockerArgs, runsAsNonRoot } from "../sandbox.js";
+import { imageManager } from "../images.js";
+import { startUsageSampler, containerUsageReader } from "../usage.js";
+import { createRun, collectOutputs, killQuietly, runWithTimeout } from "./common.js";
+
+/**
+ * Deterministic container name for a job, so it can be stopped by name on
+ * cancel/timeout.
+ *
+ * @param {string} jobId
+ * @returns {string}
+ */
+export function containerNameForJob(jobId) {
+  return `pcjob-${jobSlug(jobId)}`;
+}
+
+/**
+ * Docker CLI backend (backend: "docker"): every job runs in a container
+ * under the worker's sandbox policy.
+ */
+export class DockerBackend {
+  /**
+   * @param {{ name?: string, cli?: string }} [options] - the container CLI
+   *   to drive (the Podman backend reuses this one with "podman")
+   */
+  constructor({ name = "docker", cli = "docker" } = {}) {
+    this.name = name;
+    this.cli = cli;
+    this.modes = ["image", "build"];
+    this.sandboxed = true;
+    this.managesImages = true;
+
+    /**
+     * Runs currently owned by this backend.
+     * Map<job_id, { child, containerName, cancelled, whenCancelled }>
+     *
+     * Lets cancel() find the client process and container for a job.
+     */
+    this.activeRuns = new Map();
+  }
+
+  /**
+   * Execute a job in a container based on the job's runtime config.
+   *
+   * The job goes through phases, reported via options.onPhase as it enters each:
+   * - "building"   runtime.mode = "build": build (or reuse) the image
+   * - "pulling"    runtime.mode = "image": pull the image if it is not local
+   *                (images.pull_timeout_seconds, not max_runtime_seconds)
+   * - "preparing"  create the job workspace (mounted at /workspace)
+   * - "running"    the container runs; max_runtime_seconds starts here
+   * - "collecting" copy declared outputs into the job's artifact directory
+   *
+   * This function:
+   * - For runtime.mode = "build", builds (or reuses) the image first
+   * - Otherwise pulls the image if needed, before any job timeout starts
+   * - Creates the job workspace (mounted at /workspace) with its input files
+   * - Builds a `docker run` command from job.runtime
+   * - Pipes the full job JSON into the container's stdin
+   * - Enforces a max runtime via a timeout
+   * - Captures stdout and stderr
+   * - Samples the container's resource usage while it runs (usage.js)
+   * - Copies declared outputs into the job's artifact directory
+   *
+   * @param {object} jobRecord - the job record from JobStore (includes .job which is the original job JSON)
+   * @param {object} [options]
+   * @param {string} [options.buildsDir] - scratch space for build contexts
+   * @param {number} [options.buildTimeoutMs]
+   * @param {string} [options.workspacesDir] - parent of per-job workspaces
+   * @param {string} [options.artifactsDir] - parent of per-job artifact dirs
+   * @param {number} [options.maxArtifactFileBytes]
+   * @param {number} [options.maxArtifactTotalBytes]
+   * @param {number[] | null} [options.cpusetCpus] - dedicated CPU ids to pin the container to
+   * @param {object | null} [options.sandbox] - resolved sandbox settings (sandbox.js resolveSandbox)
+   * @param {number} [options.pullTimeoutMs]
+   * @param {number} [options.usageSampleMs] - resource usage sampling interval
+   * @param {string} [options.cgroupRoot] - where container cgroups are mounted
+   * @param {(phase: string) => void} [options.onPhase] - called when the job enters a phase
+   * @param {(stream: "stdout" | "stderr", data: string) => void} [options.onOutput] - called per output chunk as it arrives
+   * @returns {Promise<{ exitCode: number | null, stdout: string, stderr: string, errorCode: string | null, build?: object, artifacts?: object[], artifactsSkipped?: object[], usage?: object }>}
+   *
+   * errorCode is:
+   * - null          => normal exit (use exitCode to determine success/failure)
+   * - "TIMEOUT"     => job exceeded max_runtime_seconds
+   * - "DOCKER_ERROR"=> docker command failed to start or crashed unexpectedly
+   * - "BUILD_FAILED"=> runtime.mode = "build" and `docker build` failed
+   * - "IMAGE_PULL_FAILED" => the image is not local and `docker pull` failed or timed out
+   * - "WORKSPACE_ERROR" => the workspace could not be prepared on the host
+   * - "CANCELLED"   => cancel() stopped the job
+   *
+   * `build` is only present for build-mode jobs: { image, cache_hit, log }.
+   * `artifacts` / `artifactsSkipped` are present once the container has run,
+   * as is `usage`: { peakMemoryBytes, cpuSeconds, bytesWritten, source }
+   * (see usage.js; fields are null when nothing could be sampled).
+   */
+  async execute(jobRecord, options = {}) {
+    const { buildsDir, buildTimeoutMs = 600000, pullTimeoutMs = 600000, onOutput } = options;
+    const enterPhase = (phase) => {
+      if (options.onPhase) options.onPhase(phase);
+    };
+    const job = jobRecord.job || {};
+    const runtime = job.runtime || {};
+    const envVars = runtime.env || {};
+    const limits = runtime.limits || {};
+    const cmd = Array.isArray(runtime.cmd) ? runtime.cmd : [];
+
+    const containerName = containerNameForJob(jobRecord.job_id);
+    const run = createRun({ containerName, onOutput });
+    this.activeRuns.set(jobRecord.job_id, run);
+
+    try {
+      let image = runtime.image;
+      let build;
+
+      if (runtime.mode === "build") {
+        enterPhase("building");
+
+        // As with pulls, a cancel does not wait for the build; the build itself
+        // carries on (jobs with an identical build may be waiting for it)
+        const built = await Promise.race([
+          ensureBuiltImage(runtime.build, { buildsDir, timeoutMs: buildTimeoutMs, sandbox: options.sandbox }),
+          run.whenCancelled.then(() => null)
+        ]);
+        build = built ? { image: built.image, cache_hit: built.cacheHit, log: built.log } : undefined;
+
+        if (run.cancelled) {
+          return { exitCode: null, stdout: "", stderr: "", errorCode: "CANCELLED", ...(build ? { build } : {}) };
+        }
+        if (!built.ok) {
+          return { exitCode: null, stdout: "", stderr: "", errorCode: "BUILD_FAILED", build };
+        }
+        image = built.image;
+      }
+
+      if (!image || typeof image !== "string") {
+        return {
+          exitCode: null,
+          stdout: "",
+          stderr: "Missing or invalid runtime.image",
+          errorCode: "DOCKER_ERROR"
+        };
+      }
+
+      if (!build) {
+        enterPhase("pulling");
+
+        // A cancel must not wait for a slow registry; the pull itself carries on
+        // (other jobs or an API pull may be waiting for it too)
+        const pulled = await Promise.race([
+          imageManager.ensureImage(image, { timeoutMs: pullTimeoutMs }),
+          run.whenCancelled.then(() => null)
+        ]);
+
+        if (run.cancelled) {
+          return { exitCode: null, stdout: "", stderr: "", errorCode: "CANCELLED" };
+        }
+        if (!pulled.ok) {
+          return {
+            exitCode: null,
+            stdout: "",
+            stderr: `[executor] Failed to pull image ${image}: ${pulled.error}`,
+            errorCode: "IMAGE_PULL_FAILED"
+          };
+        }
+      }
+
+      const timeoutSeconds = Number(limits.max_runtime_seconds || 10);
+      const timeoutMs = timeoutSeconds * 1000;
+      const memoryMb = limits.memory_mb ? Number(limits.memory_mb) : null;
+      const cpus = limits.cpus ? Number(limits.cpus) : null;
+
+      enterPhase("preparing");
+      let workspaceDir;
+      try {
+        workspaceDir = prepareWorkspace(jobRecord, options.workspacesDir, {
+          shared: Boolean(options.sandbox && runsAsNonRoot(options.sandbox))
+        });
+      } catch (err) {
+        return {
+          exitCode: null,
+          stdout: "",
+          stderr: `[executor] Failed to prepare workspace: ${err.message || String(err)}`,
+          errorCode: "WORKSPACE_ERROR",
+          ...(build ? { build } : {})
+        };
+      }
+
+      // Where `docker run` writes the container id, for usage sampling
+      const cidFile = `${workspaceDir}.cid`;
+      try {
+        fs.rmSync(cidFile, { force: true });
+        // A container left behind by an earlier run of this job (e.g. still
+        // running when the worker restarted) would hold the name
+        await this._removeContainer(containerName);
+        // A cancel while that ran found no container to stop
+        if (run.cancelled) {
+          return { exitCode: null, stdout: "", stderr: "", errorCode: "CANCELLED", ...(build ? { build } : {}) };
+        }
+        const dockerArgs = buildDockerArgs({
+          containerName,
+          cidFile,
+          image,
+          envVars,
+          memoryMb,
+          cpus,
+          cpusetCpus: options.cpusetCpus,
+          sandbox: options.sandbox,
+          cmd,
+          workspaceDir
+        });
+
+        // The payload we send to the container's stdin.
+        // v1: full job JSON, so images can decide what they need.
+        const stdinPayload = JSON.stringify(job);
+
+        enterPhase("running");
+        const sampler = startUsageSampler(
+          containerUsageReader(cidFile, { cgroupRoot: options.cgroupRoot || "/sys/fs/cgroup" }),
+          { intervalMs: options.usageSampleMs || 1000 }
+        );
+        const result = await runWithTimeout(run, this.cli, dockerArgs, {
+          stdinPayload,
+          timeoutMs,
+          spawnErrorCode: "DOCKER_ERROR",
+          // Kill the client and the container it started
+          onTimeout: (child) => {
+            killQuietly(child);
+            this._killContainer(containerName);
+          }
+        });
+        const usage = await sampler.stop();
+
+        enterPhase("collecting");
+        const collected = collectOutputs(jobRecord, workspaceDir, options);
+
+        return {
+          ...result,
+          ...(build ? { build } : {}),
+          artifacts: collected.artifacts,
+          artifactsSkipped: collected.skipped,
+          usage
+        };
+      } finally {
+        fs.rmSync(cidFile, { force: true });
+        removeWorkspace(workspaceDir);
+      }
+    } finally {
+      this.activeRuns.delete(jobRecord.job_id);
+    }
+  }
+
+  /**
+   * Stop a running job's container.
+   *
+   * Uses `docker stop -t <grace>`, which sends SIGTERM and then SIGKILL once the
+   * grace period runs out. The local docker client is killed as well, which
+   * covers the window where the container is still being created. A job that
+   * is still pulling or building its image stops waiting right away.
+   *
+   * The pending execute() promise then resolves with errorCode "CANCELLED".
+   *
+   * @param {string} jobId
+   * @param {{ graceSeconds?: number }} [options]
+   * @returns {boolean} false if this backend is not running the job
+   */
+  cancel(jobId, { graceSeconds = 10 } = {}) {
+    const run = this.activeRuns.get(jobId);
+    if (!run) {
+      return false;
+    }
+
+    run.cancelled = true;
+    run.cancel();
+
+    const stopper = spawn(this.cli, ["stop", "-t", String(graceSeconds), run.containerName], {
+      stdio: "ignore"
+    });
+    stopper.on("error", (err) => {
+      console.warn(`[executor] ${this.cli} stop failed for ${run.containerName}: ${err.message}`);
+    });
+    stopper.on("exit", () => {
+      // Container is gone (or never existed); make sure the client goes too.
+      killQuietly(run.child);
+    });
+
+    return true;
+  }
+
+  /**
+   * Digest a local image ref resolves to (for the result cache).
+   *
+   * @param {string} ref
+   * @returns {Promise<string | null>} null if the image is not local
+   */
+  imageDigest(ref) {
+    return imageManager.imageId(ref);
+  }
+
+  /**
+   * Force-remove a container by name; used when we give up on a job (timeout)
+   * so the container doesn't outlive the docker client.
+   */
+  _killContainer(containerName) {
+    const killer = spawn(this.cli, ["kill", containerName], { stdio: "ignore" });
+    killer.on("error", () => {
+      // CLI missing; nothing left to clean up
+    });
+  }
+
+  /**
+   * Remove a job's container (running or exited) by name, if there is one.
+   *
+   * @param {string} containerName
+   * @returns {Promise<void>} resolves once `docker rm` has finished
+   */
+  _removeContainer(containerName) {
+    return new Promise((resolve) => {
+      const remover = spawn(this.cli, ["rm", "-f", containerName], { stdio: "ignore" });
+      remover.on("error", () => resolve());
+      remover.on("exit", () => resolve());
+    });
+  }
+}
+
+/**
+ * Build the arguments array for `docker run`.
+ *
+ * @param {object} spec
+ * @param {string} spec.containerName
+ * @param {string} spec.image
+ * @param {object} spec.envVars
+ * @param {number | null} spec.memoryMb
+ * @param {number | null} spec.cpus - CPU quota (may be fractional)
+ * @param {number[] | null} [spec.cpusetCpus] - dedicated CPU ids
+ * @param {object | null} [spec.sandbox] - resolved sandbox settings
+ * @param {string[]} spec.cmd
+ * @param {string} spec.workspaceDir - host directory mounted at /workspace
+ * @param {string} [spec.cidFile] - file `docker run` writes the container id to
+ * @returns {string[]} args for `docker` (without the "docker" executable itself)
+ */
+function buildDockerArgs({ containerName, cidFile, image, envVars, memoryMb, cpus, cpusetCpus, sandbox, cmd, workspaceDir }) {
+  // The image was resolved in the pulling phase; never pull inside the job's runtime
+  const args = ["run", "--rm", "-i", "--pull", "never", "--name", containerName];
+
+  // Container id for resource usage sampling
+  if (cidFile) {
+    args.push("--cidfile", cidFile);
+  }
+
+  // Network, rootfs, capabilities, user, pids and ulimits
+  if (sandbox) {
+    args.push(...sandboxDockerArgs(sandbox));
+  }
+
+  // Per-job workspace (input files in, declared outputs out)
+  args.push("--volume", `${workspaceDir}:${CONTAINER_WORKSPACE_PATH}`);
+
+  // Memory limit, if provided
+  if (memoryMb && !Number.isNaN(memoryMb)) {
+    args.push("--memory", `${memoryMb}m`);
+  }
+
+  // CPU quota, if provided
+  if (cpus && !Number.isNaN(cpus)) {
+    args.push("--cpus", String(cpus));
+  }
+
+  // Dedicated CPUs reserved for this job
+  if (Array.isArray(cpusetCpus) && cpusetCpus.length > 0) {
+    args.push("--cpuset-cpus", cpusetCpus.join(","));
+  }
+
+  // Environment variables from runtime.env
+  for (const [key, value] of Object.entries(envVars)) {
+    if (value !== undefined && value !== null) {
+      args.push("-e", `${key}=${String(value)}`);
+    }
+  }
+
+  // Image name
+  args.push(image);
+
+  if (Array.isArray(cmd) && cmd.length > 0) {
+    for (const part of cmd) {
+      args.push(String(part));
+    }
+  }
+
+  // NOTE: No command override here; we assume the image's default CMD
+  // knows how to read JSON from stdin.
+  return args;
+}
@@ -0,0 +1,249 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+import { builtImageTag } from "../builder.js";
+import { prepareWorkspace, removeWorkspace } from "../workspace.js";
+import { imageMatches } from "../policy.js";
+import { normalizeImageRef } from "../images.js";
+import { createRun, collectOutputs } from "./common.js";
+
+/**
+ * Fake backend (backend: "fake"): runs nothing, but plays out a scripted
+ * outcome for each job, so the scheduler and API can be exercised on a
+ * machine without Docker.
+ *
+ * Outcomes come from fake_backend.outcomes in the config; the first entry
+ * whose `match` fits the job is used (an entry without `match` fits every
+ * job), else the job exits 0 after 100 ms with no output. Match keys use the
+ * allowed_images pattern syntax (see policy.js):
+ *   job_id, image (runtime.image; build jobs have none), task_type (task.type)
+ *
+ * An outcome may set:
+ *   exit_code    process exit code (default 0)
+ *   duration_ms  how long the "running" phase takes (default 100); runs
+ *                past max_runtime_seconds end in TIMEOUT
+ *   stdout, stderr
+ *   files        { path: content } written into the workspace before
+ *                outputs are collected
+ *   usage        { peak_memory_mb, cpu_seconds, bytes_written } reported
+ *                as sampled usage (default: none)
+ *   error_code   fail in the matching phase instead: BUILD_FAILED,
+ *                IMAGE_PULL_FAILED, WORKSPACE_ERROR, DOCKER_ERROR, PROCESS_ERROR
+ *
+ * Jobs still go through the real phases, workspace and artifact collection,
+ * and honour cancel(). The same job always gets the same outcome.
+ *
+ * Image refs resolve to the digests in fake_backend.image_digests, else to
+ * one derived from the ref, so the result cache works here too.
+ */
+
+export const FAKE_ERROR_CODES = [
+  "BUILD_FAILED",
+  "IMAGE_PULL_FAILED",
+  "WORKSPACE_ERROR",
+  "DOCKER_ERROR",
+  "PROCESS_ERROR"
+];
+
+export const FAKE_MATCH_KEYS = ["job_id", "image", "task_type"];
+
+const DEFAULT_OUTCOME = { exit_code: 0, duration_ms: 100 };
+
+export class FakeBackend {
+  /**
+   * @param {import("../config.js").config} config - outcomes are read per job,
+   *   so a SIGHUP reload changes the script for jobs started afterwards
+   */
+  constructor(config) {
+    this.config = config;
+    this.name = "fake";
+    this.modes = ["image", "build", "process"];
+    this.sandboxed = false;
+    this.managesImages = false;
+
+    // Map<job_id, run> for cancel()
+    this.activeRuns = new Map();
+  }
+
+  /**
+   * Play out the scripted outcome for a job. Same options and result as
+   * DockerBackend.execute().
+   */
+  async execute(jobRecord, options = {}) {
+    const enterPhase = (phase) => {
+      if (options.onPhase) options.onPhase(phase);
+    };
+    const job = jobRecord.job || {};
+    const runtime = job.runtime || {};
+    const limits = runtime.limits || {};
+    const outcome = { ...DEFAULT_OUTCOME, ...this._outcomeFor(job) };
+    const failWith = (errorCode, extra = {}) => ({
+      exitCode: null,
+      stdout: "",
+      stderr: `[fake] scripted ${errorCode}`,
+      errorCode,
+      ...extra
+    });
+
+    const run = createRun({ onOutput: options.onOutput });
+    this.activeRuns.set(jobRecord.job_id, run);
+
+    try {
+      let build;
+      if (runtime.mode === "build") {
+        enterPhase("building");
+        build = { image: builtImageTag(runtime.build), cache_hit: false, log: "[fake] build skipped\n" };
+        if (outcome.error_code === "BUILD_FAILED") {
+          return failWith("BUILD_FAILED", { build });
+        }
+      } else if (runtime.mode === "image") {
+        enterPhase("pulling");
+        if (outcome.error_code === "IMAGE_PULL_FAILED") {
+          return failWith("IMAGE_PULL_FAILED");
+        }
+      }
+      const withBuild = build ? { build } : {};
+
+      enterPhase("preparing");
+      if (outcome.error_code === "WORKSPACE_ERROR") {
+        return failWith("WORKSPACE_ERROR", withBuild);
+      }
+      let workspaceDir;
+      try {
+        workspaceDir = prepareWorkspace(jobRecord, options.workspacesDir);
+      } catch (err) {
+        return failWith("WORKSPACE_ERROR", { ...withBuild, stderr: `[executor] Failed to prepare workspace: ${err.message}` });
+      }
+
+      try {
+        if (run.cancelled) {
+          return { exitCode: null, stdout: "", stderr: "", errorCode: "CANCELLED", ...withBuild };
+        }
+
+        enterPhase("running");
+        if (outcome.error_code === "DOCKER_ERROR" || outcome.error_code === "PROCESS_ERROR") {
+          return failWith(outcome.error_code, withBuild);
+        }
+
+        const result = await this._play(run, outcome, {
+          timeoutMs: Number(limits.max_runtime_seconds || 10) * 1000,
+          workspaceDir
+        });
+
+        enterPhase("collecting");
+        const collected = collectOutputs(jobRecord, workspaceDir, options);
+
+        return {
+          ...result,
+          ...withBuild,
+          artifacts: collected.artifacts,
+          artifactsSkipped: collected.skipped,
+          usage: scriptedUsage(outcome.usage)
+        };
+      } finally {
+        removeWorkspace(workspaceDir);
+      }
+    } finally {
+      this.activeRuns.delete(jobRecord.job_id);
+    }
+  }
+
+  /**
+   * Stop a fake run; it ends right away with errorCode "CANCELLED".
+   *
+   * @param {string} jobId
+   * @returns {boolean} false if this backend is not running the job
+   */
+  cancel(jobId) {
+    const run = this.activeRuns.get(jobId);
+    if (!run) {
+      return false;
+    }
+
+    run.cancelled = true;
+    run.cancel();
+    return true;
+  }
+
+  /**
+   * Scripted digest of an image ref (for the result cache).
+   *
+   * @param {string} ref
+   * @returns {Promise<string>}
+   */
+  async imageDigest(ref) {
+    const image = normalizeImageRef(ref);
+    const digests = this.config.fakeBackend.imageDigests || {};
+    const scripted = digests[ref] ?? digests[image];
+    return scripted ?? `sha256:${crypto.createHash("sha256").update(image).digest("hex")}`;
+  }
+
+  _outcomeFor(job) {
+    const facts = {
+      job_id: job.job_id,
+      image: job.runtime?.image,
+      task_type: job.task?.type
+    };
+
+    const entry = (this.config.fakeBackend.outcomes || []).find((o) =>
+      Object.entries(o.match || {}).every(
+        ([key, pattern]) => typeof facts[key] === "string" && imageMatches(facts[key], pattern)
+      )
+    );
+    return entry || {};
+  }
+
+  /**
+   * The "running" phase: emit the scripted output, then wait out
+   * duration_ms unless cancelled or timed out first.
+   */
+  async _play(run, outcome, { timeoutMs, workspaceDir }) {
+    const stdout = String(outcome.stdout ?? "");
+    const stderr = String(outcome.stderr ?? "");
+    if (run.onOutput) {
+      if (stdout) run.onOutput("stdout", stdout);
+      if (stderr) run.onOutput("stderr", stderr);
+    }
+
+    const durationMs = Number(outcome.duration_ms);
+    let timer;
+    const ended = await Promise.race([
+      new Promise((resolve) => {
+        timer = setTimeout(() => resolve(durationMs > timeoutMs ? "timeout" : "done"), Math.min(durationMs, timeoutMs));
+      }),
+      run.whenCancelled.then(() => "cancelled")
+    ]);
+    clearTimeout(timer);
+
+    if (ended === "cancelled") {
+      return { exitCode: null, stdout, stderr, errorCode: "CANCELLED" };
+    }
+    if (ended === "timeout") {
+      return { exitCode: null, stdout, stderr: stderr + "\n[executor] Job timed out", errorCode: "TIMEOUT" };
+    }
+
+    for (const [file, content] of Object.entries(outcome.files || {})) {
+      const target = path.join(workspaceDir, path.posix.normalize(file));
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, String(content));
+    }
+
+    return { exitCode: Number(outcome.exit_code), stdout, stderr, errorCode: null };
+  }
+}
+
+/**
+ * An outcome's `usage` in the shape DockerBackend.execute() samples.
+ */
+function scriptedUsage(usage) {
+  if (!usage) {
+    return { peakMemoryBytes: null, cpuSeconds: null, bytesWritten: null, source: null };
+  }
+  return {
+    peakMemoryBytes: usage.peak_memory_mb == null ? null : usage.peak_memory_mb * 1024 * 1024,
+    cpuSeconds: usage.cpu_seconds ?? null,
+    bytesWritten: usage.bytes_written ?? null,
+    source: "fake"
+  };
+}
@@ -0,0 +1,61 @@
+import { setContainerCli } from "../dockerCli.js";
+import { DockerBackend } from "./docker.js";
+import { PodmanBackend } from "./podman.js";
+import { LocalBackend } from "./local.js";
+import { FakeBackend } from "./fake.js";
+
+/**
+ * Execution backends: what actually runs a job once the scheduler starts it.
+ * Chosen by `backend` in the worker config (restart to change).
+ *
+ * - docker  containers via the Docker CLI (default)
+ * - podman  containers via Podman, e.g. rootless hosts without a Docker daemon
+ * - local   runtime.mode = "process" jobs as plain host processes (trusted tasks only)
+ * - fake    scripted outcomes, no containers (fake_backend.outcomes)
+ *
+ * @typedef {object} ExecutionBackend
+ * @property {string} name
+ * @property {string[]} modes - runtime.mode values it can run
+ * @property {boolean} sandboxed - applies config.sandbox / runtime.sandbox
+ * @property {boolean} managesImages - uses local container images (pull, prune, /images)
+ * @property {(jobRecord: object, options: object) => Promise<object>} execute
+ *   run a job to completion; see DockerBackend.execute() for options and result
+ * @property {(jobId: string, options?: { graceSeconds?: number }) => boolean} cancel
+ *   stop a job execute() is running; false if it is not running here
+ * @property {(ref: string) => Promise<string | null>} [imageDigest]
+ *   digest a local image ref resolves to; backends without it never use
+ *   the result cache (resultCache.js)
+ */
+
+// runtime.mode values each backend can run (allowed_modes must be a subset)
+export const BACKEND_MODES = {
+  docker: ["image", "build"],
+  podman: ["image", "build"],
+  local: ["process"],
+  fake: ["image", "build", "process"]
+};
+
+export const BACKEND_NAMES = Object.keys(BACKEND_MODES);
+
+/**
+ * Create the backend named by config.backend.
+ *
+ * @param {import("../config.js").config} config
+ * @returns {ExecutionBackend}
+ */
+export function createBackend(config) {
+  switch (config.backend) {
+    case "docker":
+      return new DockerBackend();
+    case "podman":
+      // images.js / builder.js housekeeping goes through podman as well
+      setContainerCli("podman");
+      return new PodmanBackend();
+    case "local":
+      return new LocalBackend();
+    case "fake":
+      return new FakeBackend(config);
+    default:
+      throw new Error(`Unknown backend "${config.backend}"`);
+  }
+}
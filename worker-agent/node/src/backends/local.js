@@ -0,0 +1,160 @@
+import { prepareWorkspace, removeWorkspace } from "../workspace.js";
+import { startUsageSampler, processUsageReader } from "../usage.js";
+import { createRun, collectOutputs, runWithTimeout } from "./common.js";
+
+/**
+ * Local-process backend (backend: "local"): runs runtime.mode = "process"
+ * jobs as plain child processes of the worker, with no container and no image.
+ *
+ * Only for trusted tasks. There is no sandbox: the process runs as the
+ * worker's user with the host's network and filesystem. runtime.limits
+ * memory_mb / cpus are used for admission but not enforced;
+ * max_runtime_seconds is.
+ *
+ * The process:
+ * - runs runtime.cmd (argv, no shell) with the job workspace as its cwd
+ * - gets PATH from the worker, HOME and WORKSPACE set to the workspace,
+ *   plus runtime.env
+ * - reads the full job JSON on stdin, like a container would
+ * - is started in its own process group, so cancel and timeout stop
+ *   anything it spawned as well; whatever is left in the group (e.g.
+ *   `cmd &`) is killed once the main process exits
+ * - has its usage sampled from /proc (main process only; see usage.js)
+ */
+export class LocalBackend {
+  constructor() {
+    this.name = "local";
+    this.modes = ["process"];
+    this.sandboxed = false;
+    this.managesImages = false;
+
+    // Map<job_id, run> for cancel()
+    this.activeRuns = new Map();
+  }
+
+  /**
+   * Execute a job as a local process. Same options and result as
+   * DockerBackend.execute(); the phases are "preparing", "running" and
+   * "collecting".
+   *
+   * errorCode is null, "TIMEOUT", "CANCELLED", "WORKSPACE_ERROR" or
+   * "PROCESS_ERROR" (the command could not be started).
+   */
+  async execute(jobRecord, options = {}) {
+    const enterPhase = (phase) => {
+      if (options.onPhase) options.onPhase(phase);
+    };
+    const job = jobRecord.job || {};
+    const runtime = job.runtime || {};
+    const limits = runtime.limits || {};
+    const cmd = Array.isArray(runtime.cmd) ? runtime.cmd.map(String) : [];
+
+    if (cmd.length === 0) {
+      return {
+        exitCode: null,
+        stdout: "",
+        stderr: "Missing or empty runtime.cmd",
+        errorCode: "PROCESS_ERROR"
+      };
+    }
+
+    const run = createRun({ onOutput: options.onOutput });
+    this.activeRuns.set(jobRecord.job_id, run);
+
+    try {
+      enterPhase("preparing");
+      let workspaceDir;
+      try {
+        workspaceDir = prepareWorkspace(jobRecord, options.workspacesDir);
+      } catch (err) {
+        return {
+          exitCode: null,
+          stdout: "",
+          stderr: `[executor] Failed to prepare workspace: ${err.message || String(err)}`,
+          errorCode: "WORKSPACE_ERROR"
+        };
+      }
+
+      try {
+        if (run.cancelled) {
+          return { exitCode: null, stdout: "", stderr: "", errorCode: "CANCELLED" };
+        }
+
+        const env = { PATH: process.env.PATH, HOME: workspaceDir, WORKSPACE: workspaceDir };
+        for (const [key, value] of Object.entries(runtime.env || {})) {
+          if (value !== undefined && value !== null) {
+            env[key] = String(value);
+          }
+        }
+
+        enterPhase("running");
+        const sampler = startUsageSampler(processUsageReader(() => run.child?.pid), {
+          intervalMs: options.usageSampleMs || 1000
+        });
+        const result = await runWithTimeout(run, cmd[0], cmd.slice(1), {
+          stdinPayload: JSON.stringify(job),
+          timeoutMs: Number(limits.max_runtime_seconds || 10) * 1000,
+          spawnErrorCode: "PROCESS_ERROR",
+          onTimeout: (child) => killGroup(child, "SIGKILL"),
+          spawnOptions: { cwd: workspaceDir, env, detached: true }
+        });
+        // The job ends with its main process: nothing it started may linger
+        killGroup(run.child, "SIGKILL");
+        const usage = await sampler.stop();
+
+        enterPhase("collecting");
+        const collected = collectOutputs(jobRecord, workspaceDir, options);
+
+        return {
+          ...result,
+          artifacts: collected.artifacts,
+          artifactsSkipped: collected.skipped,
+          usage
+        };
+      } finally {
+        removeWorkspace(workspaceDir);
+      }
+    } finally {
+      this.activeRuns.delete(jobRecord.job_id);
+    }
+  }
+
+  /**
+   * SIGTERM the job's process group, then SIGKILL it after the grace period
+   * (even if the main process exited: the group may hold processes that
+   * ignore SIGTERM).
+   *
+   * @param {string} jobId
+   * @param {{ graceSeconds?: number }} [options]
+   * @returns {boolean} false if this backend is not running the job
+   */
+  cancel(jobId, { graceSeconds = 10 } = {}) {
+    const run = this.activeRuns.get(jobId);
+    if (!run) {
+      return false;
+    }
+
+    run.cancelled = true;
+    run.cancel();
+
+    const child = run.child;
+    if (child) {
+      killGroup(child, "SIGTERM");
+      setTimeout(() => killGroup(child, "SIGKILL"), graceSeconds * 1000).unref();
+    }
+
+    return true;
+  }
+}
+
+/**
+ * Signal a detached child's whole process group, ignoring "already exited".
+ */
+function killGroup(child, signal) {
+  if (!child || !child.pid) return;
+  try {
+    process.kill(-child.pid, signal);
+  } catch (e) {
+    // ignore
+  }
+}
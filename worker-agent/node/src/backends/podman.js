@@ -0,0 +1,20 @@
+import { DockerBackend } from "./docker.js";
+
+/**
+ * Podman backend (backend: "podman"), for hosts without a Docker daemon,
+ * typically running the worker as an unprivileged user with rootless Podman.
+ *
+ * Podman's CLI accepts the same run/stop/kill/build/pull/image arguments as
+ * Docker's, so this is the Docker backend driving `podman` instead; image
+ * housekeeping (images.js, builder.js) is switched over by createBackend().
+ *
+ * Rootless notes: containers run inside the invoking user's user namespace,
+ * so sandbox.user maps to a subordinate uid (/etc/subuid) and --memory /
+ * --cpus need cgroup v2 with the cpu and memory controllers delegated to
+ * that user.
+ */
+export class PodmanBackend extends DockerBackend {
+  constructor() {
+    super({ name: "podman", cli: "podman" });
+  }
+}
@@ -0,0 +1,159 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+import { runDockerCommand } from "./dockerCli.js";
+import { sandboxBuildArgs } from "./sandbox.js";
+
+/**
+ * Image builder for runtime.mode = "build".
+ *
+ * A build job carries its Dockerfile and context files inline:
+ *
+ *   "build": {
+ *     "dockerfile": "FROM alpine:3.20\nCOPY run.sh /run.sh\nCMD [\"sh\", \"/run.sh\"]",
+ *     "context": [
+ *       { "path": "run.sh", "content": "echo hi", "encoding": "utf8" }
+ *     ]
+ *   }
+ *
+ * Built images are tagged by a hash of the Dockerfile + context, so an
+ * identical build (from any job) reuses the existing image.
+ *
+ * RUN steps get the job's sandbox network and ulimits (sandboxBuildArgs);
+ * the rest of the sandbox policy does not apply to builds.
+ */
+
+const BUILD_IMAGE_REPO = "processingcluster-build";
+
+// Keep only the tail of very chatty builds on the job record
+const MAX_BUILD_LOG_CHARS = 64 * 1024;
+
+// Map<content_hash + build args, Promise<buildResult>> so concurrent identical
+// builds run once
+const inFlightBuilds = new Map();
+
+/**
+ * Decode runtime.build.context into [{ path, data: Buffer }], sorted by path.
+ * Throws on malformed entries; validateJobRequest should have caught those.
+ */
+export function decodeBuildContext(build) {
+  const files = Array.isArray(build?.context) ? build.context : [];
+
+  return files
+    .map((file) => ({
+      path: path.posix.normalize(String(file.path)),
+      data: Buffer.from(String(file.content ?? ""), file.encoding === "base64" ? "base64" : "utf8")
+    }))
+    .sort((a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0));
+}
+
+/**
+ * Content hash of a build spec. Independent of how file contents were
+ * encoded in the job (utf8 vs base64) and of the order of context entries.
+ */
+export function buildContentHash(build) {
+  const hash = crypto.createHash("sha256");
+  hash.update("dockerfile\0");
+  hash.update(String(build.dockerfile));
+
+  for (const file of decodeBuildContext(build)) {
+    const fileHash = crypto.createHash("sha256").update(file.data).digest("hex");
+    hash.update(`\0file\0${file.path}\0${fileHash}`);
+  }
+
+  return hash.digest("hex");
+}
+
+/**
+ * Tag the image for a build spec gets (whether or not it is built yet).
+ */
+export function builtImageTag(build) {
+  return `${BUILD_IMAGE_REPO}:${buildContentHash(build).slice(0, 32)}`;
+}
+
+/**
+ * Make sure the image for a build spec exists locally, building it if needed.
+ *
+ * @param {object} build - runtime.build from the job
+ * @param {{ buildsDir: string, timeoutMs: number, sandbox?: object | null }} options -
+ *   sandbox: the job's resolved sandbox settings (sandbox.js resolveSandbox)
+ * @returns {Promise<{ ok: boolean, image: string, cacheHit: boolean, log: string }>}
+ */
+export function ensureBuiltImage(build, { buildsDir, timeoutMs, sandbox }) {
+  const contentHash = buildContentHash(build);
+  const image = builtImageTag(build);
+  const buildArgs = sandbox ? sandboxBuildArgs(sandbox) : [];
+  const key = `${contentHash}\0${buildArgs.join(" ")}`;
+
+  if (inFlightBuilds.has(key)) {
+    return inFlightBuilds.get(key);
+  }
+
+  const promise = (async () => {
+    const inspect = await runDockerCommand(["image", "inspect", image], { timeoutMs: 30000 });
+    if (inspect.code === 0) {
+      return { ok: true, image, cacheHit: true, log: "" };
+    }
+
+    return runBuild(build, image, contentHash, { buildsDir, timeoutMs, buildArgs });
+  })().finally(() => {
+    inFlightBuilds.delete(key);
+  });
+
+  inFlightBuilds.set(key, promise);
+  return promise;
+}
+
+/**
+ * Materialise the context in a scratch directory and run `docker build`.
+ */
+async function runBuild(build, image, contentHash, { buildsDir, timeoutMs, buildArgs }) {
+  const contextDir = path.join(buildsDir, `${contentHash.slice(0, 16)}-${process.pid}-${Date.now()}`);
+
+  try {
+    fs.mkdirSync(contextDir, { recursive: true });
+
+    for (const file of decodeBuildContext(build)) {
+      const target = path.join(contextDir, file.path);
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      fs.writeFileSync(target, file.data);
+    }
+
+    const dockerfilePath = path.join(contextDir, ".processingcluster.Dockerfile");
+    fs.writeFileSync(dockerfilePath, String(build.dockerfile));
+
+    const result = await runDockerCommand(
+      ["build", ...buildArgs, "--tag", image, "--file", dockerfilePath, contextDir],
+      { timeoutMs }
+    );
+
+    let log = result.stdout + result.stderr;
+    if (result.spawnError) {
+      log += `\n[builder] docker spawn error: ${result.spawnError}`;
+    }
+    if (result.timedOut) {
+      log += `\n[builder] Build timed out after ${Math.round(timeoutMs / 1000)}s`;
+    }
+
+    return {
+      ok: result.code === 0 && !result.timedOut,
+      image,
+      cacheHit: false,
+      log: tail(log, MAX_BUILD_LOG_CHARS)
+    };
+  } catch (err) {
+    return {
+      ok: false,
+      image,
+      cacheHit: false,
+      log: `[builder] Failed to prepare build context: ${err.message || String(err)}`
+    };
+  } finally {
+    fs.rmSync(contextDir, { recursive: true, force: true });
+  }
+}
+
+function tail(text, maxChars) {
+  return text.length > maxChars ? text.slice(text.length - maxChars) : text;
+}
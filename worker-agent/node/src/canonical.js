@@ -0,0 +1,43 @@
+import crypto from "crypto";
+
+/**
+ * Canonical JSON and content hashes of submitted jobs.
+ *
+ * Two bodies that parse to the same JSON value get the same canonical form,
+ * whatever their key order, whitespace or number spelling (1 vs 1.0), so a
+ * master that re-serialises a job before resending it is still recognised.
+ * Array order is significant.
+ */
+
+/**
+ * Serialise a JSON value with object keys sorted (recursively) and no
+ * whitespace.
+ *
+ * @param {unknown} value - a parsed JSON value
+ * @returns {string}
+ */
+export function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+
+  if (value && typeof value === "object") {
+    const members = Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${members.join(",")}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Content hash of a job as submitted: "sha256:<hex>" of its canonical JSON.
+ *
+ * @param {unknown} job
+ * @returns {string}
+ */
+export function contentHash(job) {
+  return `sha256:${crypto.createHash("sha256").update(canonicalJson(job)).digest("hex")}`;
+}
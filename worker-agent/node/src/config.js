@@ -1,45 +1,586 @@
-
 import fs from "fs";
 import path from "path";
 import yaml from "js-yaml";
 import { fileURLToPath } from "url";
 
+import { AUTH_SCOPES } from "./auth.js";
+import { SANDBOX_OVERRIDE_FIELDS } from "./sandbox.js";
+import { DRAIN_MODES } from "./drain.js";
+import { checkImagePattern } from "./policy.js";
+import { isSafeRelativePath } from "./workspace.js";
+import { BACKEND_MODES, BACKEND_NAMES } from "./backends/index.js";
+import { FAKE_ERROR_CODES, FAKE_MATCH_KEYS } from "./backends/fake.js";
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Read config file on device
-function loadYamlConfig() {
-  const configPath = path.join(__dirname, "..", "config", "worker-default.yaml");
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "config", "worker-default.yaml");
+
+// Settings that only take effect on restart; a SIGHUP reload keeps the old values
+const RESTART_ONLY_KEYS = ["port", "backend", "jobsDir", "buildsDir", "workspacesDir", "artifactsDir"];
+
+/**
+ * The config file failed to load or validate. `problems` lists every issue
+ * found, so they can all be fixed in one go.
+ */
+export class ConfigError extends Error {
+  constructor(configPath, problems) {
+    super(`Invalid worker config ${configPath}:\n  - ${problems.join("\n  - ")}`);
+    this.configPath = configPath;
+    this.problems = problems;
+  }
+}
 
+/**
+ * Which YAML file to load: `--config <path>` (or `--config=<path>`) on the
+ * command line, else WORKER_CONFIG, else config/worker-default.yaml.
+ *
+ * @returns {{ configPath: string, explicit: boolean }}
+ */
+export function resolveConfigPath(argv = process.argv, env = process.env) {
+  for (let i = 2; i < argv.length; i++) {
+    if (argv[i] === "--config" && argv[i + 1]) {
+      return { configPath: path.resolve(argv[i + 1]), explicit: true };
+    }
+    if (argv[i].startsWith("--config=")) {
+      return { configPath: path.resolve(argv[i].slice("--config=".length)), explicit: true };
+    }
+  }
+
+  if (env.WORKER_CONFIG) {
+    return { configPath: path.resolve(env.WORKER_CONFIG), explicit: true };
+  }
+
+  return { configPath: DEFAULT_CONFIG_PATH, explicit: false };
+}
+
+// Read config file on device. The default file may be missing (all defaults);
+// one named explicitly must exist.
+function loadYamlConfig(configPath, explicit) {
   if (!fs.existsSync(configPath)) {
+    if (explicit) {
+      throw new ConfigError(configPath, ["file does not exist"]);
+    }
     return {};
   }
 
-  const fileContent = fs.readFileSync(configPath, "utf8");
-  const parsed = yaml.load(fileContent);
+  let parsed;
+  try {
+    parsed = yaml.load(fs.readFileSync(configPath, "utf8"));
+  } catch (err) {
+    throw new ConfigError(configPath, [`cannot be parsed: ${err.message}`]);
+  }
+
+  if (parsed !== undefined && parsed !== null && (typeof parsed !== "object" || Array.isArray(parsed))) {
+    throw new ConfigError(configPath, ["top level must be a mapping"]);
+  }
   return parsed || {};
 }
 
+/**
+ * Numeric setting: numbers and numeric strings become numbers, missing
+ * values the fallback. Anything else is passed through so validateConfig()
+ * can report it as written.
+ */
+function toNumber(value, fallback) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const n = Number(value);
+  return Number.isFinite(n) ? n : value;
+}
+
 //  Translate config profile
-function normalizeConfig(raw) {
+function normalizeConfig(raw, configPath) {
   // YAML values
   const yamlWorkerId = raw.worker_id || raw.workerId;
   const yamlPort = raw.port;
-  const yamlMaxJobs = raw.max_concurrent_jobs || raw.maxConcurrentJobs;
+  const yamlMaxJobs = raw.max_concurrent_jobs ?? raw.maxConcurrentJobs;
   const yamlLabels = raw.labels || [];
+  const yamlJobsDir = raw.jobs_dir || raw.jobsDir;
+  const yamlCancelGrace = raw.cancel_grace_seconds ?? raw.cancelGraceSeconds;
+  const yamlBuildTimeout = raw.build_timeout_seconds ?? raw.buildTimeoutSeconds;
+  const yamlAllowedImages = raw.allowed_images ?? raw.allowedImages ?? [];
+  const yamlBackend = raw.backend ?? "docker";
+  const yamlAllowedModes = raw.allowed_modes ?? raw.allowedModes ?? BACKEND_MODES[yamlBackend] ?? [];
+  const yamlLimits = raw.limits || {};
+  const yamlArtifacts = raw.artifacts || {};
+  const yamlJobHistory = raw.job_history || {};
+  const yamlWebhooks = raw.webhooks || {};
+  const yamlAuth = raw.auth || {};
+  const yamlResources = raw.resources || {};
+  const yamlSandbox = raw.sandbox || {};
+  const yamlImages = raw.images || {};
+  const yamlThermal = raw.thermal || {};
+  const yamlDrain = raw.drain || {};
+  const yamlBatch = raw.batch || {};
+  const yamlResultCache = raw.result_cache || {};
+  const yamlUsage = raw.usage || {};
+  const yamlFakeBackend = raw.fake_backend || {};
+  const yamlThrottle = yamlThermal.throttle || {};
 
   // Env overrides
   const envWorkerId = process.env.WORKER_ID;
   const envPort = process.env.WORKER_PORT;
   const envMaxJobs = process.env.MAX_CONCURRENT_JOBS;
+  const envJobsDir = process.env.WORKER_JOBS_DIR;
+
+  const jobsDir = path.resolve(envJobsDir || yamlJobsDir || path.join(__dirname, "jobs"));
+  const limitDefaults = yamlLimits.defaults || {};
+  const limitMax = yamlLimits.max || {};
 
   return {
+    // Where this config came from (SIGHUP reloads the same file)
+    configPath,
     workerId: envWorkerId || yamlWorkerId || "worker-unnamed",
-    port: Number(envPort || yamlPort || 9000),
-    maxConcurrentJobs: Number(envMaxJobs || yamlMaxJobs || 2),
-    labels: Array.isArray(yamlLabels) ? yamlLabels : []
+    port: toNumber(envPort || yamlPort, 9000),
+    maxConcurrentJobs: toNumber(envMaxJobs || yamlMaxJobs, 2),
+    // Admission by declared runtime.limits.memory_mb / cpus
+    resources: {
+      // Memory kept free for the OS and the worker itself
+      memoryReserveMb: toNumber(yamlResources.memory_reserve_mb, 512)
+    },
+    labels: yamlLabels,
+    // What runs jobs; see backends/index.js
+    backend: yamlBackend,
+    // Scripted job outcomes for backend: "fake"; see backends/fake.js
+    fakeBackend: {
+      outcomes: yamlFakeBackend.outcomes ?? [],
+      // image ref -> digest it resolves to (default: derived from the ref)
+      imageDigests: yamlFakeBackend.image_digests ?? {}
+    },
+    // runtime.image patterns jobs may use (see policy.js); empty = any image
+    allowedImages: yamlAllowedImages,
+    allowedModes: yamlAllowedModes,
+    // Applied to runtime.limits at submission (see policy.js applyLimitPolicy)
+    limits: {
+      defaults: {
+        memoryMb: toNumber(limitDefaults.memory_mb, null),
+        cpus: toNumber(limitDefaults.cpus, null),
+        maxRuntimeSeconds: toNumber(limitDefaults.max_runtime_seconds, 10)
+      },
+      max: {
+        memoryMb: toNumber(limitMax.memory_mb, null),
+        cpus: toNumber(limitMax.cpus, null),
+        maxRuntimeSeconds: toNumber(limitMax.max_runtime_seconds, null),
+        dedicatedCpus: toNumber(limitMax.dedicated_cpus, null)
+      },
+      onExceed: yamlLimits.on_exceed ?? "reject"
+    },
+    // Job journal location (also reported by /health as jobs_path)
+    jobsDir,
+    // Scratch space for runtime.mode = "build" contexts
+    buildsDir: path.join(jobsDir, "builds"),
+    // Per-job scratch dirs mounted at /workspace, and collected outputs
+    workspacesDir: path.join(jobsDir, "workspaces"),
+    artifactsDir: path.join(jobsDir, "artifacts"),
+    // SIGTERM -> SIGKILL grace period when a running job is cancelled
+    cancelGraceSeconds: toNumber(yamlCancelGrace, 10),
+    buildTimeoutSeconds: toNumber(yamlBuildTimeout, 600),
+    // Ended jobs kept in the store/journal, and when the journal is compacted
+    jobHistory: {
+      retentionHours: toNumber(yamlJobHistory.retention_hours, 168),
+      compactAboveMb: toNumber(yamlJobHistory.compact_above_mb, 64)
+    },
+    artifacts: {
+      retentionHours: toNumber(yamlArtifacts.retention_hours, 72),
+      maxFileMb: toNumber(yamlArtifacts.max_file_mb, 100),
+      maxTotalMb: toNumber(yamlArtifacts.max_total_mb, 500)
+    },
+    // Completion callbacks; secrets are keyed by the job's callback.secret_id
+    webhooks: {
+      secrets: yamlWebhooks.secrets ?? {},
+      maxAttempts: toNumber(yamlWebhooks.max_attempts, 8),
+      initialBackoffSeconds: toNumber(yamlWebhooks.initial_backoff_seconds, 2),
+      maxBackoffSeconds: toNumber(yamlWebhooks.max_backoff_seconds, 300),
+      timeoutSeconds: toNumber(yamlWebhooks.timeout_seconds, 10)
+    },
+    // Pre-pulls and LRU pruning of local images; see images.js
+    images: {
+      pullTimeoutSeconds: toNumber(yamlImages.pull_timeout_seconds, 600),
+      pruneBelowFreeMb: toNumber(yamlImages.prune_below_free_mb, 2048),
+      pruneTargetFreeMb: toNumber(yamlImages.prune_target_free_mb, 4096),
+      pruneIntervalSeconds: toNumber(yamlImages.prune_interval_seconds, 300),
+      keepImages: yamlImages.keep_images ?? []
+    },
+    // Temperature sensors and the scheduler's thermal throttle; see thermal.js
+    thermal: {
+      sysfsRoot: yamlThermal.sysfs_root ?? "/sys",
+      throttle: {
+        enabled: yamlThrottle.enabled ?? false,
+        stopAboveC: toNumber(yamlThrottle.stop_above_c, 85),
+        resumeBelowC: toNumber(yamlThrottle.resume_below_c, 75)
+      }
+    },
+    // Drain mode and SIGTERM shutdown; see drain.js
+    drain: {
+      mode: yamlDrain.mode ?? "reject",
+      shutdownDeadlineSeconds: toNumber(yamlDrain.shutdown_deadline_seconds, 300),
+      queuedOnShutdown: yamlDrain.queued_on_shutdown ?? "keep"
+    },
+    // Per-job resource usage sampling; see usage.js
+    usage: {
+      sampleIntervalSeconds: toNumber(yamlUsage.sample_interval_seconds, 1),
+      cgroupRoot: yamlUsage.cgroup_root ?? "/sys/fs/cgroup"
+    },
+    // Results of runtime.cache_result jobs; see resultCache.js
+    resultCache: {
+      enabled: yamlResultCache.enabled ?? false,
+      ttlSeconds: toNumber(yamlResultCache.ttl_seconds, 86400),
+      maxEntries: toNumber(yamlResultCache.max_entries, 10000),
+      maxMb: toNumber(yamlResultCache.max_mb, 256)
+    },
+    // POST /jobs/batch
+    batch: {
+      maxJobs: toNumber(yamlBatch.max_jobs, 1000),
+      maxBodyMb: toNumber(yamlBatch.max_body_mb, 16)
+    },
+    // Master authentication; see auth.js for the modes and scopes
+    auth: {
+      enabled: Boolean(yamlAuth.enabled),
+      mode: yamlAuth.mode ?? "bearer",
+      maxClockSkewSeconds: toNumber(yamlAuth.max_clock_skew_seconds, 300),
+      credentials: Array.isArray(yamlAuth.credentials)
+        ? yamlAuth.credentials.map((c) => ({
+            id: c?.id === undefined ? undefined : String(c.id),
+            key: c?.key === undefined ? undefined : String(c.key),
+            scope: c?.scope || "read",
+            // Webhook secrets this credential's job callbacks may use
+            callbackSecrets: c?.callback_secrets ?? (c?.id === undefined ? [] : [String(c.id)])
+          }))
+        : yamlAuth.credentials ?? []
+    },
+    // Hardening applied to every job container; see sandbox.js
+    sandbox: {
+      network: String(yamlSandbox.network ?? "none"),
+      readOnlyRootfs: yamlSandbox.read_only_rootfs ?? true,
+      tmpfsMb: toNumber(yamlSandbox.tmpfs_mb, 256),
+      capDrop: yamlSandbox.cap_drop ?? ["ALL"],
+      capAdd: yamlSandbox.cap_add ?? [],
+      noNewPrivileges: yamlSandbox.no_new_privileges ?? true,
+      pidsLimit: toNumber(yamlSandbox.pids_limit, 256),
+      user: yamlSandbox.user === undefined ? "65534:65534" : String(yamlSandbox.user || ""),
+      ulimits: Object.fromEntries(
+        Object.entries(yamlSandbox.ulimits || { nofile: "1024:1024", core: "0" }).map(([k, v]) => [k, String(v)])
+      ),
+      // runtime.sandbox fields jobs may change
+      allowOverrides: yamlSandbox.allow_overrides ?? []
+    }
+  };
+}
+
+/**
+ * Check a normalized config. Returns a list of problems (empty if valid),
+ * named by their YAML keys.
+ */
+function validateConfig(cfg) {
+  const problems = [];
+  const got = (value) => `(got ${JSON.stringify(value)})`;
+
+  const isNumber = (value) => typeof value === "number" && Number.isFinite(value);
+  const positive = (value, name) => {
+    if (!isNumber(value) || value <= 0) problems.push(`${name} must be a positive number ${got(value)}`);
+  };
+  const nonNegative = (value, name) => {
+    if (!isNumber(value) || value < 0) problems.push(`${name} must be a number >= 0 ${got(value)}`);
   };
+  const positiveInteger = (value, name) => {
+    if (!Number.isInteger(value) || value < 1) problems.push(`${name} must be a positive integer ${got(value)}`);
+  };
+  const stringList = (value, name) => {
+    if (!Array.isArray(value) || !value.every((v) => typeof v === "string")) {
+      problems.push(`${name} must be a list of strings ${got(value)}`);
+      return false;
+    }
+    return true;
+  };
+
+  if (typeof cfg.workerId !== "string" || cfg.workerId.trim() === "") {
+    problems.push(`worker_id must be a non-empty string ${got(cfg.workerId)}`);
+  }
+  if (!Number.isInteger(cfg.port) || cfg.port < 1 || cfg.port > 65535) {
+    problems.push(`port must be an integer between 1 and 65535 ${got(cfg.port)}`);
+  }
+  positiveInteger(cfg.maxConcurrentJobs, "max_concurrent_jobs");
+  stringList(cfg.labels, "labels");
+  nonNegative(cfg.resources.memoryReserveMb, "resources.memory_reserve_mb");
+  nonNegative(cfg.cancelGraceSeconds, "cancel_grace_seconds");
+  positive(cfg.buildTimeoutSeconds, "build_timeout_seconds");
+
+  // Images and modes
+  if (stringList(cfg.allowedImages, "allowed_images")) {
+    cfg.allowedImages.forEach((pattern, i) => {
+      const problem = checkImagePattern(pattern);
+      if (problem) problems.push(`allowed_images[${i}] ${problem}`);
+    });
+  }
+  // Backend and modes
+  const backendModes = BACKEND_MODES[cfg.backend];
+  if (!backendModes) {
+    problems.push(`backend must be one of: ${BACKEND_NAMES.join(", ")} ${got(cfg.backend)}`);
+  } else if (stringList(cfg.allowedModes, "allowed_modes")) {
+    const unknown = cfg.allowedModes.filter((m) => !backendModes.includes(m));
+    if (unknown.length > 0 || cfg.allowedModes.length === 0) {
+      problems.push(
+        `allowed_modes must be a non-empty subset of what backend "${cfg.backend}" runs: ${backendModes.join(", ")} ${got(cfg.allowedModes)}`
+      );
+    }
+  }
+  const outcomes = cfg.fakeBackend.outcomes;
+  if (!Array.isArray(outcomes)) {
+    problems.push(`fake_backend.outcomes must be a list ${got(outcomes)}`);
+  } else {
+    outcomes.forEach((outcome, i) => {
+      problems.push(...checkFakeOutcome(outcome, `fake_backend.outcomes[${i}]`));
+    });
+  }
+  const digests = cfg.fakeBackend.imageDigests;
+  if (!digests || typeof digests !== "object" || Array.isArray(digests) ||
+      Object.values(digests).some((d) => typeof d !== "string" || d === "")) {
+    problems.push(`fake_backend.image_digests must be a mapping of image: digest ${got(digests)}`);
+  }
+
+  // Limits
+  for (const [key, name] of [["memoryMb", "memory_mb"], ["cpus", "cpus"], ["maxRuntimeSeconds", "max_runtime_seconds"]]) {
+    const def = cfg.limits.defaults[key];
+    const max = cfg.limits.max[key];
+    if (def !== null) positive(def, `limits.defaults.${name}`);
+    if (max !== null) positive(max, `limits.max.${name}`);
+    if (isNumber(def) && isNumber(max) && def > max) {
+      problems.push(`limits.defaults.${name} (${def}) is above limits.max.${name} (${max})`);
+    }
+  }
+  if (cfg.limits.max.dedicatedCpus !== null) {
+    positiveInteger(cfg.limits.max.dedicatedCpus, "limits.max.dedicated_cpus");
+  }
+  if (cfg.limits.onExceed !== "clamp" && cfg.limits.onExceed !== "reject") {
+    problems.push(`limits.on_exceed must be "clamp" or "reject" ${got(cfg.limits.onExceed)}`);
+  }
+
+  // Artifacts
+  nonNegative(cfg.jobHistory.retentionHours, "job_history.retention_hours");
+  positive(cfg.jobHistory.compactAboveMb, "job_history.compact_above_mb");
+  positive(cfg.artifacts.retentionHours, "artifacts.retention_hours");
+  positive(cfg.artifacts.maxFileMb, "artifacts.max_file_mb");
+  positive(cfg.artifacts.maxTotalMb, "artifacts.max_total_mb");
+
+  // Images
+  positive(cfg.images.pullTimeoutSeconds, "images.pull_timeout_seconds");
+  nonNegative(cfg.images.pruneBelowFreeMb, "images.prune_below_free_mb");
+  nonNegative(cfg.images.pruneTargetFreeMb, "images.prune_target_free_mb");
+  positive(cfg.images.pruneIntervalSeconds, "images.prune_interval_seconds");
+  if (isNumber(cfg.images.pruneBelowFreeMb) && isNumber(cfg.images.pruneTargetFreeMb) &&
+      cfg.images.pruneTargetFreeMb < cfg.images.pruneBelowFreeMb) {
+    problems.push(
+      `images.prune_target_free_mb (${cfg.images.pruneTargetFreeMb}) must be at least images.prune_below_free_mb (${cfg.images.pruneBelowFreeMb})`
+    );
+  }
+  if (stringList(cfg.images.keepImages, "images.keep_images")) {
+    cfg.images.keepImages.forEach((pattern, i) => {
+      const problem = checkImagePattern(pattern);
+      if (problem) problems.push(`images.keep_images[${i}] ${problem}`);
+    });
+  }
+
+  // Thermal
+  if (typeof cfg.thermal.sysfsRoot !== "string" || cfg.thermal.sysfsRoot === "") {
+    problems.push(`thermal.sysfs_root must be a directory path ${got(cfg.thermal.sysfsRoot)}`);
+  }
+  const throttle = cfg.thermal.throttle;
+  if (typeof throttle.enabled !== "boolean") problems.push(`thermal.throttle.enabled must be a boolean ${got(throttle.enabled)}`);
+  positive(throttle.stopAboveC, "thermal.throttle.stop_above_c");
+  positive(throttle.resumeBelowC, "thermal.throttle.resume_below_c");
+  if (isNumber(throttle.stopAboveC) && isNumber(throttle.resumeBelowC) && throttle.resumeBelowC >= throttle.stopAboveC) {
+    problems.push(
+      `thermal.throttle.resume_below_c (${throttle.resumeBelowC}) must be below thermal.throttle.stop_above_c (${throttle.stopAboveC})`
+    );
+  }
+
+  // Drain
+  if (!DRAIN_MODES.includes(cfg.drain.mode)) {
+    problems.push(`drain.mode must be one of: ${DRAIN_MODES.join(", ")} ${got(cfg.drain.mode)}`);
+  }
+  nonNegative(cfg.drain.shutdownDeadlineSeconds, "drain.shutdown_deadline_seconds");
+  if (cfg.drain.queuedOnShutdown !== "keep" && cfg.drain.queuedOnShutdown !== "hand_back") {
+    problems.push(`drain.queued_on_shutdown must be "keep" or "hand_back" ${got(cfg.drain.queuedOnShutdown)}`);
+  }
+
+  // Usage sampling
+  positive(cfg.usage.sampleIntervalSeconds, "usage.sample_interval_seconds");
+  if (typeof cfg.usage.cgroupRoot !== "string" || cfg.usage.cgroupRoot === "") {
+    problems.push(`usage.cgroup_root must be a directory path ${got(cfg.usage.cgroupRoot)}`);
+  }
+
+  // Result cache
+  if (typeof cfg.resultCache.enabled !== "boolean") {
+    problems.push(`result_cache.enabled must be a boolean ${got(cfg.resultCache.enabled)}`);
+  }
+  positive(cfg.resultCache.ttlSeconds, "result_cache.ttl_seconds");
+  positiveInteger(cfg.resultCache.maxEntries, "result_cache.max_entries");
+  positive(cfg.resultCache.maxMb, "result_cache.max_mb");
+
+  // Batch submission
+  positiveInteger(cfg.batch.maxJobs, "batch.max_jobs");
+  positive(cfg.batch.maxBodyMb, "batch.max_body_mb");
+
+  // Webhooks
+  const secrets = cfg.webhooks.secrets;
+  if (!secrets || typeof secrets !== "object" || Array.isArray(secrets)) {
+    problems.push(`webhooks.secrets must be a mapping of secret_id: secret ${got(secrets)}`);
+  } else {
+    for (const [id, secret] of Object.entries(secrets)) {
+      if (typeof secret !== "string" || secret === "") problems.push(`webhooks.secrets.${id} must be a non-empty string`);
+    }
+  }
+  positiveInteger(cfg.webhooks.maxAttempts, "webhooks.max_attempts");
+  positive(cfg.webhooks.initialBackoffSeconds, "webhooks.initial_backoff_seconds");
+  positive(cfg.webhooks.maxBackoffSeconds, "webhooks.max_backoff_seconds");
+  positive(cfg.webhooks.timeoutSeconds, "webhooks.timeout_seconds");
+
+  // Auth
+  if (cfg.auth.mode !== "bearer" && cfg.auth.mode !== "hmac") {
+    problems.push(`auth.mode must be "bearer" or "hmac" ${got(cfg.auth.mode)}`);
+  }
+  positive(cfg.auth.maxClockSkewSeconds, "auth.max_clock_skew_seconds");
+  if (!Array.isArray(cfg.auth.credentials)) {
+    problems.push(`auth.credentials must be a list ${got(cfg.auth.credentials)}`);
+  } else {
+    const seen = new Set();
+    cfg.auth.credentials.forEach((c, i) => {
+      if (!c.id || !c.key) problems.push(`auth.credentials[${i}] needs both id and key`);
+      if (!AUTH_SCOPES.includes(c.scope)) {
+        problems.push(`auth.credentials[${i}].scope must be one of: ${AUTH_SCOPES.join(", ")} ${got(c.scope)}`);
+      }
+      stringList(c.callbackSecrets, `auth.credentials[${i}].callback_secrets`);
+      if (c.id && seen.has(c.id)) problems.push(`auth.credentials[${i}].id "${c.id}" is used twice`);
+      seen.add(c.id);
+    });
+    if (cfg.auth.enabled && cfg.auth.credentials.length === 0) {
+      problems.push("auth.enabled is true but auth.credentials is empty; no master could call the worker");
+    }
+  }
+
+  // Sandbox
+  const sandbox = cfg.sandbox;
+  if (sandbox.network === "") problems.push("sandbox.network must be a docker network name");
+  if (typeof sandbox.readOnlyRootfs !== "boolean") problems.push(`sandbox.read_only_rootfs must be a boolean ${got(sandbox.readOnlyRootfs)}`);
+  if (typeof sandbox.noNewPrivileges !== "boolean") problems.push(`sandbox.no_new_privileges must be a boolean ${got(sandbox.noNewPrivileges)}`);
+  if (!Number.isInteger(sandbox.tmpfsMb) || sandbox.tmpfsMb < 0) problems.push(`sandbox.tmpfs_mb must be an integer >= 0 ${got(sandbox.tmpfsMb)}`);
+  if (!Number.isInteger(sandbox.pidsLimit) || sandbox.pidsLimit < 0) problems.push(`sandbox.pids_limit must be an integer >= 0 ${got(sandbox.pidsLimit)}`);
+  stringList(sandbox.capDrop, "sandbox.cap_drop");
+  stringList(sandbox.capAdd, "sandbox.cap_add");
+  if (stringList(sandbox.allowOverrides, "sandbox.allow_overrides")) {
+    const unknown = sandbox.allowOverrides.filter((f) => !SANDBOX_OVERRIDE_FIELDS.includes(f));
+    if (unknown.length > 0) {
+      problems.push(`sandbox.allow_overrides has unknown fields ${got(unknown)}; known: ${SANDBOX_OVERRIDE_FIELDS.join(", ")}`);
+    }
+  }
+  for (const [name, value] of Object.entries(sandbox.ulimits)) {
+    if (!/^-?\d+(:-?\d+)?$/.test(value)) problems.push(`sandbox.ulimits.${name} must be a number or "soft:hard" ${got(value)}`);
+  }
+
+  return problems;
+}
+
+/**
+ * Problems with one fake_backend.outcomes entry.
+ */
+function checkFakeOutcome(outcome, name) {
+  const problems = [];
+  if (!outcome || typeof outcome !== "object" || Array.isArray(outcome)) {
+    return [`${name} must be a mapping`];
+  }
+
+  const match = outcome.match ?? {};
+  if (typeof match !== "object" || Array.isArray(match)) {
+    problems.push(`${name}.match must be a mapping of ${FAKE_MATCH_KEYS.join(", ")}`);
+  } else {
+    for (const [key, pattern] of Object.entries(match)) {
+      if (!FAKE_MATCH_KEYS.includes(key)) {
+        problems.push(`${name}.match.${key} is not a match key; known: ${FAKE_MATCH_KEYS.join(", ")}`);
+        continue;
+      }
+      const problem = checkImagePattern(pattern);
+      if (problem) problems.push(`${name}.match.${key} ${problem}`);
+    }
+  }
+
+  if (outcome.exit_code !== undefined && !Number.isInteger(outcome.exit_code)) {
+    problems.push(`${name}.exit_code must be an integer (got ${JSON.stringify(outcome.exit_code)})`);
+  }
+  if (outcome.duration_ms !== undefined && !(Number.isFinite(outcome.duration_ms) && outcome.duration_ms >= 0)) {
+    problems.push(`${name}.duration_ms must be a number >= 0 (got ${JSON.stringify(outcome.duration_ms)})`);
+  }
+  const usage = outcome.usage ?? {};
+  if (typeof usage !== "object" || Array.isArray(usage)) {
+    problems.push(`${name}.usage must be a mapping of peak_memory_mb, cpu_seconds, bytes_written`);
+  } else {
+    for (const [key, value] of Object.entries(usage)) {
+      if (!["peak_memory_mb", "cpu_seconds", "bytes_written"].includes(key)) {
+        problems.push(`${name}.usage.${key} is not a usage field; known: peak_memory_mb, cpu_seconds, bytes_written`);
+      } else if (!(Number.isFinite(value) && value >= 0)) {
+        problems.push(`${name}.usage.${key} must be a number >= 0 (got ${JSON.stringify(value)})`);
+      }
+    }
+  }
+  if (outcome.error_code !== undefined && !FAKE_ERROR_CODES.includes(outcome.error_code)) {
+    problems.push(`${name}.error_code must be one of: ${FAKE_ERROR_CODES.join(", ")} (got ${JSON.stringify(outcome.error_code)})`);
+  }
+  const files = outcome.files ?? {};
+  if (typeof files !== "object" || Array.isArray(files)) {
+    problems.push(`${name}.files must be a mapping of path: content`);
+  } else {
+    for (const file of Object.keys(files)) {
+      if (!isSafeRelativePath(file)) problems.push(`${name}.files "${file}" must be a relative path inside the workspace`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Load, normalize and validate the worker config.
+ * Throws ConfigError listing every problem.
+ */
+export function loadConfig({ configPath, explicit } = resolveConfigPath()) {
+  const cfg = normalizeConfig(loadYamlConfig(configPath, explicit), configPath);
+  const problems = validateConfig(cfg);
+  if (problems.length > 0) {
+    throw new ConfigError(configPath, problems);
+  }
+  return cfg;
+}
+
+/**
+ * Re-read the config file (SIGHUP) and update `config` in place, so every
+ * module holding a reference sees the new values. Running and queued jobs
+ * are untouched; new policy applies to jobs submitted or started afterwards.
+ *
+ * Throws ConfigError (and keeps the current config) if the file is invalid.
+ *
+ * @returns {{ ignored: string[] }} settings that changed but need a restart
+ */
+export function reloadConfig() {
+  const next = loadConfig({ configPath: config.configPath, explicit: true });
+
+  const ignored = RESTART_ONLY_KEYS.filter((key) => next[key] !== config[key]);
+  for (const key of RESTART_ONLY_KEYS) {
+    next[key] = config[key];
+  }
+
+  Object.assign(config, next);
+  return { ignored };
+}
+
+function loadInitialConfig() {
+  try {
+    return loadConfig();
+  } catch (err) {
+    if (err instanceof ConfigError) {
+      console.error(`[config] ${err.message}`);
+      process.exit(1);
+    }
+    throw err;
+  }
 }
 
-const rawConfig = loadYamlConfig();
-export const config = normalizeConfig(rawConfig);
+export const config = loadInitialConfig();
@@ -0,0 +1,81 @@
+import { spawn } from "child_process";
+
+// Container CLI for housekeeping commands; the podman backend switches it
+let containerCli = "docker";
+
+/**
+ * Use `cli` (a docker-compatible binary such as "podman") for every
+ * runDockerCommand() call. Set once at startup by createBackend().
+ *
+ * @param {string} cli
+ */
+export function setContainerCli(cli) {
+  containerCli = cli;
+}
+
+/**
+ * Run a short-lived `docker` command and capture its output.
+ *
+ * For housekeeping commands (build, inspect, ...), not for job containers:
+ * those go through the execution backend (backends/docker.js), which streams
+ * stdin and handles cancellation.
+ *
+ * @param {string[]} args - arguments for `docker` (without the executable)
+ * @param {{ timeoutMs?: number, cwd?: string, onOutput?: (stream: "stdout" | "stderr", text: string) => void }} [options]
+ *   onOutput is called per chunk as it arrives (e.g. pull progress)
+ * @returns {Promise<{ code: number | null, stdout: string, stderr: string, timedOut: boolean, spawnError: string | null }>}
+ */
+export function runDockerCommand(args, { timeoutMs = 0, cwd, onOutput } = {}) {
+  return new Promise((resolve) => {
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+    let timeoutHandle = null;
+
+    let child;
+    try {
+      child = spawn(containerCli, args, { cwd, stdio: ["ignore", "pipe", "pipe"] });
+    } catch (err) {
+      return resolve({
+        code: null,
+        stdout: "",
+        stderr: "",
+        timedOut: false,
+        spawnError: err.message || String(err)
+      });
+    }
+
+    child.stdout.on("data", (data) => {
+      const text = data.toString();
+      stdout += text;
+      if (onOutput) onOutput("stdout", text);
+    });
+
+    child.stderr.on("data", (data) => {
+      const text = data.toString();
+      stderr += text;
+      if (onOutput) onOutput("stderr", text);
+    });
+
+    child.on("error", (err) => {
+      if (timeoutHandle) clearTimeout(timeoutHandle);
+      resolve({ code: null, stdout, stderr, timedOut, spawnError: err.message || String(err) });
+    });
+
+    child.on("close", (code) => {
+      if (timeoutHandle) clearTimeout(timeoutHandle);
+      resolve({ code, stdout, stderr, timedOut, spawnError: null });
+    });
+
+    if (timeoutMs > 0) {
+      timeoutHandle = setTimeout(() => {
+        timedOut = true;
+        try {
+          child.kill("SIGKILL");
+        } catch (e) {
+          // ignore
+        }
+      }, timeoutMs);
+    }
+  });
+}
@@ -0,0 +1,203 @@
+import { EventEmitter } from "events";
+
+/**
+ * Drain mode and graceful shutdown.
+ *
+ * A draining worker starts no new jobs; running jobs finish normally. New
+ * submissions are either rejected (mode "reject": 503 WORKER_DRAINING) or
+ * accepted and held in the queue until the worker is undrained (mode "hold").
+ *
+ * Draining is started by an admin (POST /admin/drain, ended by
+ * POST /admin/undrain) or by SIGTERM/SIGINT, which then shuts the worker down:
+ * 1. drain with the configured drain.mode
+ * 2. wait for running jobs, at most drain.shutdown_deadline_seconds
+ * 3. stop the jobs still running (recorded as cancelled)
+ * 4. queued jobs either stay queued in the journal and run after the restart
+ *    (queued_on_shutdown: "keep") or are cancelled with WORKER_SHUTDOWN so the
+ *    master can submit them elsewhere ("hand_back")
+ *
+ * Drain state is not persisted; a restarted worker accepts jobs again.
+ *
+ * Events:
+ * - "changed" () when draining starts or ends
+ */
+
+export const DRAIN_MODES = ["reject", "hold"];
+
+// How long to wait for jobs stopped at the deadline, beyond the grace period
+const STOP_WAIT_EXTRA_MS = 10 * 1000;
+
+class WorkerDrain extends EventEmitter {
+  constructor() {
+    super();
+
+    this.draining = false;
+    this.mode = null;
+    this.since = null;
+    this.reason = null;
+    this.shuttingDown = false;
+
+    // Set while shutdown() waits; resolving it cuts the wait short
+    this._hurry = null;
+  }
+
+  /**
+   * Start draining (or change the mode of an ongoing drain).
+   *
+   * @param {{ mode: "reject" | "hold", reason?: string | null }} options
+   */
+  drain({ mode, reason = null }) {
+    if (!this.draining) {
+      this.draining = true;
+      this.since = new Date().toISOString();
+      console.log(`[drain] Draining (mode=${mode}${reason ? `, reason=${reason}` : ""})`);
+    }
+    this.mode = mode;
+    this.reason = reason ?? this.reason;
+    this.emit("changed");
+  }
+
+  /**
+   * Stop draining. Returns false while shutting down (which cannot be undone).
+   */
+  undrain() {
+    if (this.shuttingDown) {
+      return false;
+    }
+    if (this.draining) {
+      console.log("[drain] Undrained; starting jobs again");
+    }
+    this.draining = false;
+    this.mode = null;
+    this.since = null;
+    this.reason = null;
+    this.emit("changed");
+    return true;
+  }
+
+  /**
+   * Drain state as reported by the API (null when not draining).
+   */
+  status() {
+    if (!this.draining) {
+      return null;
+    }
+    return {
+      mode: this.mode,
+      since: this.since,
+      reason: this.reason,
+      shutting_down: this.shuttingDown
+    };
+  }
+
+  /**
+   * Drain, wait for running jobs and deal with queued ones; resolves when
+   * the process can exit. Calling it again while it runs stops waiting for
+   * running jobs and goes straight to stopping them.
+   *
+   * @param {import("./jobStore.js").jobStore} jobStore
+   * @param {import("./config.js").config} config
+   * @param {import("./backends/index.js").ExecutionBackend} backend - stops running jobs
+   * @param {string} reason - e.g. the signal name
+   */
+  async shutdown(jobStore, config, backend, reason) {
+    if (this.shuttingDown) {
+      if (this._hurry) {
+        console.warn("[drain] Shutdown requested again; stopping running jobs now");
+        this._hurry();
+      }
+      return null;
+    }
+
+    this.drain({ mode: config.drain.mode, reason });
+    this.shuttingDown = true;
+
+    const deadlineMs = config.drain.shutdownDeadlineSeconds * 1000;
+    const running = jobStore.getRunningJobCount();
+    if (running > 0) {
+      console.log(
+        `[drain] Waiting up to ${config.drain.shutdownDeadlineSeconds}s for ${running} running job(s)`
+      );
+    }
+
+    const hurry = new Promise((resolve) => {
+      this._hurry = resolve;
+    });
+    const finished = await Promise.race([waitForRunningJobs(jobStore, deadlineMs), hurry.then(() => false)]);
+    this._hurry = null;
+
+    if (!finished) {
+      stopRunningJobs(jobStore, backend, config.cancelGraceSeconds);
+      await waitForRunningJobs(jobStore, config.cancelGraceSeconds * 1000 + STOP_WAIT_EXTRA_MS);
+    }
+
+    const queued = jobStore.getJobsByState("queued");
+    if (config.drain.queuedOnShutdown === "hand_back") {
+      handBackQueuedJobs(jobStore, queued);
+      console.log(`[drain] Handed back ${queued.length} queued job(s)`);
+    } else if (queued.length > 0) {
+      console.log(`[drain] ${queued.length} queued job(s) kept; they run after the restart`);
+    }
+
+    return { stoppedRunningJobs: !finished, queuedJobs: queued.length };
+  }
+}
+
+/**
+ * Resolves true once no job is running, or false after `timeoutMs`.
+ */
+function waitForRunningJobs(jobStore, timeoutMs) {
+  return new Promise((resolve) => {
+    if (jobStore.getRunningJobCount() === 0) {
+      resolve(true);
+      return;
+    }
+
+    const onUpdated = () => {
+      if (jobStore.getRunningJobCount() === 0) {
+        done(true);
+      }
+    };
+    const timer = setTimeout(() => done(false), timeoutMs);
+
+    function done(result) {
+      clearTimeout(timer);
+      jobStore.off("updated", onUpdated);
+      resolve(result);
+    }
+
+    jobStore.on("updated", onUpdated);
+  });
+}
+
+function stopRunningJobs(jobStore, backend, graceSeconds) {
+  const running = jobStore.getJobsByState("running");
+  console.warn(`[drain] Shutdown deadline reached; stopping ${running.length} running job(s)`);
+
+  const cancellation = {
+    requested_by: "worker-shutdown",
+    requested_at: new Date().toISOString()
+  };
+
+  for (const record of running) {
+    jobStore.updateJob(record.job_id, { cancellation });
+    backend.cancel(record.job_id, { graceSeconds });
+  }
+}
+
+function handBackQueuedJobs(jobStore, queued) {
+  const now = new Date().toISOString();
+
+  for (const record of queued) {
+    jobStore.transition(record.job_id, "queued", {
+      state: "cancelled",
+      finished_at: now,
+      error: {
+        code: "WORKER_SHUTDOWN",
+        message: "Worker shut down before the job started; submit it to another worker"
+      }
+    });
+  }
+}
+
+export const workerDrain = new WorkerDrain();
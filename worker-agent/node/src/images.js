@@ -0,0 +1,422 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+import { runDockerCommand } from "./dockerCli.js";
+import { builtImageTag } from "./builder.js";
+import { getDockerDisk } from "./systemMetrics.js";
+import { imageMatches } from "./policy.js";
+
+/**
+ * Local Docker images: listing, pre-pulling, removal and LRU pruning.
+ *
+ * Masters can warm a worker with POST /images/pull before sending a batch,
+ * so the first job does not pay for the pull. When free space on Docker's
+ * disk drops below images.prune_below_free_mb, the least recently used
+ * images are removed until images.prune_target_free_mb is free again.
+ * Images used by queued or running jobs, and those matching
+ * images.keep_images, are never pruned.
+ *
+ * "Last used" is when a job last started with the image or it was last
+ * pulled through the API (kept in <jobs_dir>/images.json); other images
+ * count from their creation time.
+ */
+
+const USAGE_FILE = "images.json";
+
+// Finished pulls kept for GET /images/pulls
+const MAX_FINISHED_PULLS = 100;
+
+// Docker Hub names as docker prints them, without the implied prefixes
+const HUB_PREFIXES = ["docker.io/library/", "index.docker.io/library/", "docker.io/", "index.docker.io/"];
+
+export class ImageError extends Error {
+  /**
+   * @param {string} code - API error code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+/**
+ * Canonical short form of an image reference: Hub prefixes dropped and
+ * ":latest" added when there is neither tag nor digest.
+ */
+export function normalizeImageRef(ref) {
+  let name = String(ref).trim();
+  for (const prefix of HUB_PREFIXES) {
+    if (name.startsWith(prefix)) {
+      name = name.slice(prefix.length);
+      break;
+    }
+  }
+
+  if (name.includes("@")) {
+    return name;
+  }
+
+  // A ":" after the last "/" is a tag; one before it is a registry port
+  const lastSlash = name.lastIndexOf("/");
+  return name.indexOf(":", lastSlash + 1) === -1 ? `${name}:latest` : name;
+}
+
+/**
+ * Images queued or running jobs need (normalized refs), including the tag a
+ * build-mode job's image will get once built.
+ *
+ * @param {import("./jobStore.js").jobStore} jobStore
+ * @returns {Set<string>}
+ */
+export function imagesInUse(jobStore) {
+  const refs = new Set();
+  for (const state of ["queued", "running"]) {
+    for (const record of jobStore.getJobsByState(state)) {
+      const runtime = record.job?.runtime || {};
+      const image = runtime.mode === "build" ? record.build?.image || builtImageTag(runtime.build) : runtime.image;
+      if (image) refs.add(normalizeImageRef(image));
+    }
+  }
+  return refs;
+}
+
+class ImageManager {
+  constructor() {
+    // Map<normalized ref, ISO timestamp of the last job start or API pull>
+    this.lastUsed = new Map();
+
+    // Map<pull_id, pull record>; running pulls plus the most recent finished ones
+    this.pulls = new Map();
+
+    this._filePath = null;
+  }
+
+
+  /**
+   * Load image usage times from `dir` and keep saving there.
+   */
+  open(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    this._filePath = path.join(dir, USAGE_FILE);
+
+    if (!fs.existsSync(this._filePath)) {
+      return;
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this._filePath, "utf8"));
+      for (const [ref, at] of Object.entries(saved || {})) {
+        this.lastUsed.set(ref, at);
+      }
+    } catch (err) {
+      console.warn(`[images] Ignoring unreadable ${this._filePath}: ${err.message}`);
+    }
+  }
+
+
+  /**
+   * Record that a job started with `ref` (or it was just pulled).
+   */
+  touch(ref) {
+    if (!ref) return;
+    this.lastUsed.set(normalizeImageRef(ref), new Date().toISOString());
+    this._save();
+  }
+
+
+  /**
+   * Local images, most recently used first.
+   *
+   * @param {Set<string>} inUse - from imagesInUse()
+   * @returns {Promise<object[]>}
+   */
+  async list(inUse = new Set()) {
+    const ids = await runDockerCommand(["image", "ls", "--quiet", "--no-trunc"], { timeoutMs: 30000 });
+    if (ids.code !== 0) {
+      throw new ImageError("DOCKER_ERROR", `docker image ls failed: ${ids.spawnError || ids.stderr.trim()}`);
+    }
+
+    const unique = [...new Set(ids.stdout.split("\n").map((l) => l.trim()).filter(Boolean))];
+    if (unique.length === 0) {
+      return [];
+    }
+
+    const inspect = await runDockerCommand(["image", "inspect", ...unique], { timeoutMs: 30000 });
+    if (inspect.code !== 0) {
+      throw new ImageError("DOCKER_ERROR", `docker image inspect failed: ${inspect.spawnError || inspect.stderr.trim()}`);
+    }
+
+    let details;
+    try {
+      details = JSON.parse(inspect.stdout);
+    } catch (err) {
+      throw new ImageError("DOCKER_ERROR", `Unexpected docker image inspect output: ${err.message}`);
+    }
+
+    const images = details.map((d) => {
+      const refs = [...(d.RepoTags || []), ...(d.RepoDigests || [])].map(normalizeImageRef);
+      const used = refs.map((ref) => this.lastUsed.get(ref)).filter(Boolean).sort();
+
+      return {
+        id: d.Id,
+        repo_tags: d.RepoTags || [],
+        repo_digests: d.RepoDigests || [],
+        size_bytes: d.Size ?? null,
+        created_at: d.Created || null,
+        last_used_at: used.length > 0 ? used[used.length - 1] : null,
+        in_use: refs.some((ref) => inUse.has(ref))
+      };
+    });
+
+    return images.sort((a, b) => lruKey(b).localeCompare(lruKey(a)));
+  }
+
+
+  /**
+   * Start pulling `ref` in the background. A pull of the same ref that is
+   * still running is returned instead of starting another.
+   *
+   * @param {string} ref
+   * @param {{ timeoutMs: number }} options
+   * @returns {object} the pull record (see serializePull in api.js)
+   */
+  startPull(ref, { timeoutMs }) {
+    for (const pull of this.pulls.values()) {
+      if (pull.ref === ref && pull.state === "pulling") {
+        return pull;
+      }
+    }
+
+    const pull = {
+      pull_id: `pull-${crypto.randomBytes(6).toString("hex")}`,
+      ref,
+      state: "pulling",
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      digest: null,
+      error: null,
+      progress: { layers_total: 0, layers_done: 0, last_line: null },
+      _layers: new Map(),
+      _done: null
+    };
+    this.pulls.set(pull.pull_id, pull);
+
+    let pending = "";
+    pull._done = runDockerCommand(["pull", ref], {
+      timeoutMs,
+      onOutput: (stream, text) => {
+        if (stream !== "stdout") return;
+        const lines = (pending + text).split(/\r?\n/);
+        pending = lines.pop();
+        for (const line of lines) updateProgress(pull, line);
+      }
+    }).then((result) => {
+      if (pending) updateProgress(pull, pending);
+
+      pull.finished_at = new Date().toISOString();
+      if (result.code === 0 && !result.timedOut) {
+        pull.state = "done";
+        // A freshly warmed image is the last thing LRU pruning should take
+        this.touch(ref);
+      } else {
+        pull.state = "failed";
+        pull.error = result.timedOut
+          ? `docker pull timed out after ${Math.round(timeoutMs / 1000)}s`
+          : result.spawnError || result.stderr.trim() || `docker pull exited with code ${result.code}`;
+      }
+      this._trimPulls();
+      return pull;
+    });
+
+    return pull;
+  }
+
+
+  /**
+   * Make sure `ref` exists locally, pulling it if needed (joining a pull of
+   * the same image that is already running). Used by the executor before
+   * `docker run`, so pull time never counts against max_runtime_seconds.
+   *
+   * @param {string} ref
+   * @param {{ timeoutMs: number }} options
+   * @returns {Promise<{ ok: boolean, pulled: boolean, error: string | null }>}
+   */
+  async ensureImage(ref, { timeoutMs }) {
+    const inspect = await runDockerCommand(["image", "inspect", ref], { timeoutMs: 30000 });
+    if (inspect.code === 0) {
+      return { ok: true, pulled: false, error: null };
+    }
+    if (inspect.spawnError) {
+      return { ok: false, pulled: false, error: `docker spawn error: ${inspect.spawnError}` };
+    }
+
+    const pull = await this.startPull(ref, { timeoutMs })._done;
+    return { ok: pull.state === "done", pulled: true, error: pull.error };
+  }
+
+
+  /**
+   * Id (config digest) of the local image `ref` names, or null if it is not
+   * local or the CLI fails. Changes whenever the tag is moved to a new image.
+   *
+   * @param {string} ref
+   * @returns {Promise<string | null>}
+   */
+  async imageId(ref) {
+    const inspect = await runDockerCommand(["image", "inspect", ref], { timeoutMs: 30000 });
+    if (inspect.code !== 0) {
+      return null;
+    }
+    try {
+      return JSON.parse(inspect.stdout)[0]?.Id || null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+
+  getPull(pullId) {
+    return this.pulls.get(pullId) || null;
+  }
+
+
+  listPulls() {
+    return Array.from(this.pulls.values());
+  }
+
+
+  /**
+   * Remove an image reference. Refuses images queued or running jobs need.
+   *
+   * @param {string} ref
+   * @param {Set<string>} inUse - from imagesInUse()
+   */
+  async remove(ref, inUse) {
+    if (inUse.has(normalizeImageRef(ref))) {
+      throw new ImageError("IMAGE_IN_USE", `Image '${ref}' is needed by a queued or running job`);
+    }
+
+    const result = await runDockerCommand(["image", "rm", ref], { timeoutMs: 60000 });
+    if (result.code !== 0) {
+      const stderr = result.spawnError || result.stderr.trim();
+      if (/no such image/i.test(stderr)) {
+        throw new ImageError("IMAGE_NOT_FOUND", `Image '${ref}' does not exist on this worker`);
+      }
+      if (/conflict|being used|referenced in multiple/i.test(stderr)) {
+        throw new ImageError("IMAGE_IN_USE", stderr);
+      }
+      throw new ImageError("DOCKER_ERROR", `docker image rm failed: ${stderr}`);
+    }
+
+    this.lastUsed.delete(normalizeImageRef(ref));
+    this._save();
+  }
+
+
+  /**
+   * If Docker's disk has less than `belowFreeMb` free, remove least recently
+   * used images until `targetFreeMb` is free (or nothing removable is left).
+   *
+   * @param {Set<string>} inUse - from imagesInUse()
+   * @param {{ belowFreeMb: number, targetFreeMb: number, keepImages: string[] }} settings
+   * @returns {Promise<{ removed: string[], freeMb: number | null }>}
+   */
+  async prune(inUse, { belowFreeMb, targetFreeMb, keepImages }) {
+    const freeMb = () => getDockerDisk().dockerDisk?.availableMb ?? null;
+    const removed = [];
+
+    let free = freeMb();
+    if (free === null || free >= belowFreeMb) {
+      return { removed, freeMb: free };
+    }
+
+    // Oldest use first
+    const candidates = (await this.list(inUse)).reverse().filter((image) => {
+      if (image.in_use) return false;
+      const refs = [...image.repo_tags, ...image.repo_digests];
+      return !refs.some((ref) => keepImages.some((pattern) => imageMatches(ref, pattern)));
+    });
+
+    for (const image of candidates) {
+      if (free >= targetFreeMb) break;
+
+      const refs = image.repo_tags.length > 0 ? image.repo_tags : [image.id];
+      const result = await runDockerCommand(["image", "rm", ...refs], { timeoutMs: 60000 });
+      if (result.code !== 0) {
+        console.warn(`[images] Could not prune ${refs.join(", ")}: ${result.spawnError || result.stderr.trim()}`);
+        continue;
+      }
+
+      for (const ref of [...image.repo_tags, ...image.repo_digests]) {
+        this.lastUsed.delete(normalizeImageRef(ref));
+      }
+      removed.push(...refs);
+      free = freeMb() ?? free;
+    }
+
+    this._save();
+    return { removed, freeMb: free };
+  }
+
+
+  _trimPulls() {
+    const finished = this.listPulls().filter((p) => p.state !== "pulling");
+    for (const pull of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_PULLS))) {
+      this.pulls.delete(pull.pull_id);
+    }
+  }
+
+
+  _save() {
+    if (!this._filePath) return;
+
+    try {
+      fs.writeFileSync(this._filePath, JSON.stringify(Object.fromEntries(this.lastUsed), null, 2));
+    } catch (err) {
+      console.error(`[images] Failed to save ${this._filePath}: ${err.message}`);
+    }
+  }
+}
+
+/**
+ * Fold one line of `docker pull` output into the pull's progress.
+ *
+ *   a2abf6c4d29d: Pulling fs layer
+ *   a2abf6c4d29d: Pull complete
+ *   Digest: sha256:...
+ */
+function updateProgress(pull, line) {
+  const text = line.trim();
+  if (!text) return;
+
+  pull.progress.last_line = text;
+
+  const digest = text.match(/^Digest: (sha256:[a-f0-9]+)/);
+  if (digest) {
+    pull.digest = digest[1];
+    return;
+  }
+
+  const layer = text.match(/^([a-f0-9]{12,}): (.+)$/);
+  if (!layer) return;
+
+  const [, layerId, status] = layer;
+  const done = status === "Pull complete" || status === "Already exists";
+  if (!pull._layers.has(layerId) || done) {
+    pull._layers.set(layerId, done);
+  }
+
+  const states = Array.from(pull._layers.values());
+  pull.progress.layers_total = states.length;
+  pull.progress.layers_done = states.filter(Boolean).length;
+}
+
+function lruKey(image) {
+  return image.last_used_at || image.created_at || "";
+}
+
+
+// Export a singleton instance.
+export const imageManager = new ImageManager();
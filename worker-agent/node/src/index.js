@@ -3,10 +3,18 @@ import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
 
-import { config } from "./config.js";
-import { registerRoutes } from "./api.js";
+import { config, reloadConfig } from "./config.js";
+import { registerRoutes, serializeJob } from "./api.js";
 import { Scheduler } from "./scheduler.js";
 import { jobStore } from "./jobStore.js";
+import { pruneArtifacts } from "./workspace.js";
+import { WebhookDispatcher } from "./webhooks.js";
+import { authenticate, captureRawBody } from "./auth.js";
+import { cpuReservations } from "./reservations.js";
+import { imageManager, imagesInUse } from "./images.js";
+import { workerMetrics } from "./metrics.js";
+import { workerDrain } from "./drain.js";
+import { createBackend } from "./backends/index.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -15,20 +23,143 @@ const app = express();
 
 // Allow dashboards / masters (cluster UI etc.) to call the worker API
 app.use(cors());
-app.use(express.json());
+// Batches get a larger body limit (batch.max_body_mb, read per request so a
+// SIGHUP reload applies); express.json below then skips the parsed body
+app.use("/jobs/batch", (req, res, next) =>
+  express.json({ verify: captureRawBody, limit: config.batch.maxBodyMb * 1024 * 1024 })(req, res, next)
+);
+// rawBody is kept for HMAC request signing (auth.mode = "hmac")
+app.use(express.json({ verify: captureRawBody }));
 
 // Optional: serve static assets from ./public if you ever use it
 app.use(express.static(path.join(__dirname, "public")));
 
+// Identify the calling master (no-op unless auth.enabled); routes check scopes
+app.use(authenticate(config));
+
+// Reload job history from the journal before anything can touch the store
+const recovered = jobStore.open(config.jobsDir);
+console.log(
+  `[worker] Restored ${recovered.restored} jobs from ${config.jobsDir} ` +
+    `(requeued=${recovered.requeued}, interrupted=${recovered.interrupted})`
+);
+
+// Admin CPU reservations survive restarts; job ones are recreated as jobs start
+cpuReservations.open(config.jobsDir);
+
+// Image last-use times, for LRU pruning
+imageManager.open(config.jobsDir);
+
+// Prometheus job counters/histograms (GET /metrics) follow job state changes
+workerMetrics.attach(jobStore);
+
+// What runs jobs: docker (default), podman, local processes or the fake backend
+const backend = createBackend(config);
+console.log(`[worker] Execution backend: ${backend.name}`);
+
 // Scheduler: manages queued/running jobs & concurrency
-const scheduler = new Scheduler(jobStore, {
-  maxConcurrentJobs: config.maxConcurrentJobs
-});
+const scheduler = new Scheduler(jobStore, config, backend);
 scheduler.start();
 
+// Completion webhooks: POST the job record to job.callback.url on state changes
+const webhooks = new WebhookDispatcher(jobStore, config, serializeJob);
+webhooks.start();
+
+// Drop artifacts past their retention period (checked every 10 minutes)
+const ARTIFACT_PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+setInterval(() => {
+  try {
+    const removed = pruneArtifacts(jobStore, {
+      artifactsDir: config.artifactsDir,
+      retentionMs: config.artifacts.retentionHours * 60 * 60 * 1000
+    });
+    if (removed > 0) {
+      console.log(`[worker] Pruned artifacts of ${removed} jobs`);
+    }
+  } catch (err) {
+    console.error("[worker] Artifact pruning failed:", err);
+  }
+}, ARTIFACT_PRUNE_INTERVAL_MS).unref();
+
+// Forget ended jobs past job_history.retention_hours, and compact the
+// journal once it has grown (checked every minute)
+const JOB_HISTORY_INTERVAL_MS = 60 * 1000;
+setInterval(() => {
+  const settings = config.jobHistory;
+  if (settings.retentionHours > 0) {
+    const removed = jobStore.removeFinishedBefore(Date.now() - settings.retentionHours * 60 * 60 * 1000);
+    if (removed > 0) {
+      console.log(`[worker] Removed ${removed} jobs past their retention period`);
+    }
+  }
+  jobStore.compact({ aboveBytes: settings.compactAboveMb * 1024 * 1024 });
+}, JOB_HISTORY_INTERVAL_MS).unref();
+
+// Free Docker disk by removing least recently used images when it runs low
+// (container backends only)
+let imagePruneRunning = false;
+setInterval(async () => {
+  const settings = config.images;
+  if (!backend.managesImages || imagePruneRunning || settings.pruneBelowFreeMb <= 0) return;
+
+  imagePruneRunning = true;
+  try {
+    const { removed, freeMb } = await imageManager.prune(imagesInUse(jobStore), {
+      belowFreeMb: settings.pruneBelowFreeMb,
+      targetFreeMb: settings.pruneTargetFreeMb,
+      keepImages: settings.keepImages
+    });
+    if (removed.length > 0) {
+      console.log(`[worker] Pruned images ${removed.join(", ")} (docker disk free: ${freeMb} MB)`);
+    }
+  } catch (err) {
+    console.error("[worker] Image pruning failed:", err);
+  } finally {
+    imagePruneRunning = false;
+  }
+}, config.images.pruneIntervalSeconds * 1000).unref();
+
+// SIGHUP: re-read the config file in place. Queued and running jobs keep going;
+// an invalid file is reported and the current config stays.
+process.on("SIGHUP", () => {
+  try {
+    const { ignored } = reloadConfig();
+    console.log(`[worker] Reloaded config from ${config.configPath}`);
+    // New limits (max_concurrent_jobs, resources, thermal) may let jobs start
+    scheduler.wake();
+    if (ignored.length > 0) {
+      console.warn(`[worker] Restart required for changes to: ${ignored.join(", ")}`);
+    }
+  } catch (err) {
+    console.error(`[worker] Config reload failed, keeping current config: ${err.message}`);
+  }
+});
+
+// SIGTERM/SIGINT: drain, let running jobs finish (up to drain.shutdown_deadline_seconds),
+// then exit. A second signal stops running jobs right away.
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.on(signal, async () => {
+    if (workerDrain.shuttingDown) {
+      workerDrain.shutdown(jobStore, config, backend, signal);
+      return;
+    }
+
+    console.log(`[worker] ${signal} received; shutting down`);
+    try {
+      await workerDrain.shutdown(jobStore, config, backend, signal);
+      scheduler.stop();
+      webhooks.stop();
+      console.log("[worker] Shutdown complete");
+      process.exit(0);
+    } catch (err) {
+      console.error("[worker] Shutdown failed:", err);
+      process.exit(1);
+    }
+  });
+}
 
-// `registerRoutes` expects a deps object: { jobStore, config }
-registerRoutes(app, { jobStore, config });
+// `registerRoutes` expects a deps object: { jobStore, config, backend }
+registerRoutes(app, { jobStore, config, backend });
 
 app.listen(config.port, () => {
   console.log(
@@ -0,0 +1,64 @@
+import { EventEmitter } from "events";
+
+/**
+ * Live output of running jobs.
+ *
+ * The job record only gets stdout/stderr once the executor returns, so while
+ * a job runs its output is accumulated here and broadcast as it arrives.
+ *
+ * Offsets are character offsets into each stream, counted the same way as
+ * the final record.stdout / record.stderr strings. That way a client can
+ * resume from the same offsets whether the job is still running (served from
+ * here) or already finished (served from the record).
+ *
+ * Events:
+ * - "output" (jobId, { stream, offset, data })
+ */
+class JobLogs extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per open log stream
+    this.setMaxListeners(0);
+
+    // Map<job_id, { stdout: string, stderr: string }>
+    this.live = new Map();
+  }
+
+
+  /**
+   * Record a chunk of output for a running job.
+   * - stream: "stdout" | "stderr"
+   */
+  append(jobId, stream, data) {
+    let entry = this.live.get(jobId);
+    if (!entry) {
+      entry = { stdout: "", stderr: "" };
+      this.live.set(jobId, entry);
+    }
+
+    const offset = entry[stream].length;
+    entry[stream] += data;
+
+    this.emit("output", jobId, { stream, offset, data });
+  }
+
+
+  /**
+   * Output captured so far for a job, or null if nothing is live for it.
+   */
+  get(jobId) {
+    return this.live.get(jobId) || null;
+  }
+
+
+  /**
+   * Forget a job's live output once its record holds the final stdout/stderr.
+   */
+  finish(jobId) {
+    this.live.delete(jobId);
+  }
+}
+
+
+// Export a singleton instance.
+export const jobLogs = new JobLogs();
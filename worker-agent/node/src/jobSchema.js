@@ -0,0 +1,97 @@
+import fs from "fs";
+import path from "path";
+import Ajv from "ajv";
+import { fileURLToPath } from "url";
+
+/**
+ * JSON Schema for Job Protocol v1 (schema/job.v1.schema.json).
+ *
+ * Served as-is by GET /schema/job so masters can validate before sending,
+ * and enforced on POST /jobs. Schema checks cover shape and types; the
+ * worker-specific rules (allowed images, limit maximums, callback secrets,
+ * capacity) stay in api.js validateJobRequest.
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEMA_PATH = path.join(__dirname, "..", "schema", "job.v1.schema.json");
+
+export const JOB_SCHEMA = JSON.parse(fs.readFileSync(SCHEMA_PATH, "utf8"));
+
+// Every runtime.mode the protocol defines; a worker's backend runs a subset
+export const RUNTIME_MODES = JOB_SCHEMA.definitions.runtime.properties.mode.enum;
+
+// allErrors: report every violation, not just the first.
+// verbose: errors carry their schema, whose description words pattern errors.
+const ajv = new Ajv({ allErrors: true, verbose: true, strict: false });
+const validate = ajv.compile(JOB_SCHEMA);
+
+/**
+ * Validate a job against the schema.
+ *
+ * @param {unknown} job
+ * @returns {Array<{ pointer: string, message: string }>} empty if valid.
+ *   `pointer` is a JSON Pointer (RFC 6901) to the offending field; for a
+ *   missing or unexpected property it points at that property.
+ */
+export function validateJobSchema(job) {
+  if (validate(job)) {
+    return [];
+  }
+
+  const violations = [];
+  const seen = new Set();
+
+  for (const err of validate.errors) {
+    // if/then wrappers only repeat the error of their `then` branch, and a
+    // bad property name is reported once by its propertyNames error
+    if (err.keyword === "if" || err.propertyName !== undefined) continue;
+
+    const violation = describe(err);
+    const key = `${violation.pointer} ${violation.message}`;
+    if (!seen.has(key)) {
+      seen.add(key);
+      violations.push(violation);
+    }
+  }
+
+  return violations;
+}
+
+function describe(err) {
+  const pointer = err.instancePath;
+
+  switch (err.keyword) {
+    case "required":
+      return { pointer: `${pointer}/${escapePointer(err.params.missingProperty)}`, message: "is required" };
+    case "additionalProperties":
+      return { pointer: `${pointer}/${escapePointer(err.params.additionalProperty)}`, message: "is not allowed here" };
+    case "propertyNames":
+      return {
+        pointer: `${pointer}/${escapePointer(err.params.propertyName)}`,
+        message: err.parentSchema.propertyNames.description
+          ? `must be ${err.parentSchema.propertyNames.description}`
+          : "is not a valid name"
+      };
+    case "pattern":
+      return {
+        pointer,
+        message: err.parentSchema.description ? `must be ${err.parentSchema.description}` : err.message
+      };
+    case "type":
+      return { pointer, message: `must be ${String(err.params.type).split(",").join(" or ")}` };
+    case "minLength":
+      return { pointer, message: err.params.limit === 1 ? "must not be empty" : err.message };
+    case "enum":
+      return { pointer, message: `must be one of: ${err.params.allowedValues.map((v) => JSON.stringify(v)).join(", ")}` };
+    case "const":
+      return { pointer, message: `must be ${JSON.stringify(err.params.allowedValue)}` };
+    default:
+      return { pointer, message: err.message };
+  }
+}
+
+function escapePointer(segment) {
+  return String(segment).replace(/~/g, "~0").replace(/\//g, "~1");
+}
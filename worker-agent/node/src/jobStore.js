@@ -1,6 +1,10 @@
 
+import fs from "fs";
+import path from "path";
+import { EventEmitter } from "events";
+
 /**
- * In-memory job store.
+ * Journaled job store.
  *
  * Holds the state of all jobs on this worker
  * 
@@ -10,12 +14,97 @@
  * - created_at / started_at / finished_at
  * - exit_code, stdout, stderr, error
  * - job (the original job JSON from the master)
+ *
+ * Records live in a Map for lookups. Once open() has been called, every
+ * create/update is also appended to an append-only journal (one JSON entry
+ * per line) under the jobs directory, so a worker restart can rebuild the
+ * Map. Without open() the store is purely in-memory.
+ *
+ * A job is only created once its journal entry is written (JournalError
+ * otherwise). The journal is compacted to one entry per job at startup and
+ * again by compact() once it has grown; removeFinishedBefore() drops old
+ * ended jobs (job_history in the worker config).
+ *
+ * Events (emitted synchronously, after the journal write):
+ * - "created" (record)
+ * - "updated" (record, partialUpdate)
  */
 
-class JobStore {
+const JOURNAL_FILE = "jobs.journal";
+
+const TERMINAL_STATES = new Set(["finished", "failed", "cancelled"]);
+
+/**
+ * The journal could not be written, so the job was not stored.
+ */
+export class JournalError extends Error {
+  constructor(message) {
+    super(message);
+    this.code = "JOURNAL_WRITE_FAILED";
+  }
+}
+
+class JobStore extends EventEmitter {
   constructor() {
+    super();
+    // Log streams etc. each hold a listener while open
+    this.setMaxListeners(0);
+
     // Map<job_id, jobRecord>
     this.jobs = new Map();
+
+    // Set by open(); null means "don't persist"
+    this._journalPath = null;
+    // Journal size now and right after the last compaction
+    this._journalBytes = 0;
+    this._compactedBytes = 0;
+  }
+
+
+  /**
+   * Load the journal from `dir` and start persisting to it.
+   *
+   * Recovery rules:
+   * - queued jobs stay queued (the scheduler picks them up again)
+   * - running jobs were interrupted by the restart, so they become
+   *   failed with error.code = WORKER_RESTARTED
+   * - terminal jobs are restored as-is so the master can still fetch results
+   *
+   * The journal is compacted to one entry per job after loading.
+   *
+   * Returns { restored, requeued, interrupted } counts.
+   */
+  open(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    const journalPath = path.join(dir, JOURNAL_FILE);
+
+    this.jobs = readJournal(journalPath);
+
+    let requeued = 0;
+    let interrupted = 0;
+    const now = new Date().toISOString();
+
+    for (const [jobId, record] of this.jobs) {
+      if (record.state === "queued") {
+        requeued += 1;
+      } else if (record.state === "running") {
+        interrupted += 1;
+        this.jobs.set(jobId, {
+          ...record,
+          state: "failed",
+          finished_at: now,
+          error: {
+            code: "WORKER_RESTARTED",
+            message: "Worker restarted while the job was running"
+          }
+        });
+      }
+    }
+
+    this._journalBytes = this._compactedBytes = compactJournal(journalPath, this.jobs.values());
+    this._journalPath = journalPath;
+
+    return { restored: this.jobs.size, requeued, interrupted };
   }
 
 
@@ -23,10 +112,14 @@ class JobStore {
    * Create a new job record.
    * - jobId: string
    * - jobObject: the original job JSON from the master (as passed to POST /jobs)
+   * - options.submittedBy: id of the credential that submitted it (null without auth)
+   * - options.contentHash: hash of the body as submitted (canonical.js), to
+   *   recognise resubmissions
    *
-   * Throws if a job with this id already exists.
+   * Throws if a job with this id already exists, and a JournalError if
+   * the job could not be written to the journal (it is not stored then).
    */
-  createJob(jobId, jobObject) {
+  createJob(jobId, jobObject, { submittedBy = null, contentHash = null } = {}) {
     if (this.jobs.has(jobId)) {
       throw new Error(`Job with id ${jobId} already exists`);
     }
@@ -43,10 +136,16 @@ class JobStore {
       stdout: "",
       stderr: "",
       error: null,
+      submitted_by: submittedBy,
+      content_hash: contentHash,
       job: jobObject 
     };
 
+    if (!this._append({ op: "put", record })) {
+      throw new JournalError(`Job ${jobId} could not be written to the job journal`);
+    }
     this.jobs.set(jobId, record);
+    this.emit("created", record);
     return record;
   }
 
@@ -73,10 +172,26 @@ class JobStore {
 
     const updated = { ...existing, ...partialUpdate };
     this.jobs.set(jobId, updated);
+    this._append({ op: "update", job_id: jobId, patch: partialUpdate });
+    this.emit("updated", updated, partialUpdate);
     return updated;
   }
 
 
+  /**
+   * Compare-and-set: update a job only if it is currently in `fromState`.
+   * Returns the updated record, or null if the job does not exist or has
+   * moved on (e.g. cancelled while the scheduler was about to start it).
+   */
+  transition(jobId, fromState, partialUpdate) {
+    const existing = this.jobs.get(jobId);
+    if (!existing || existing.state !== fromState) {
+      return null;
+    }
+    return this.updateJob(jobId, partialUpdate);
+  }
+
+
   /**
    * Return an array of all jobs currently in the given state.
    * For example: getJobsByState("queued").
@@ -92,6 +207,47 @@ class JobStore {
   }
 
 
+  /**
+   * Filtered, paginated job listing, ordered by (created_at, job_id).
+   *
+   * filter (all optional):
+   * - states: array of states to include
+   * - createdAfter / createdBefore / finishedAfter / finishedBefore: ms timestamps (inclusive)
+   * - image: runtime.image (or the built image for mode = "build")
+   * - taskType: task.type
+   * - submittedBy: credential id that submitted the job
+   * - after: { createdAt, jobId } position to continue after (pagination)
+   * - limit: max records to return
+   *
+   * Returns { jobs, hasMore }.
+   */
+  listJobs(filter = {}) {
+    const states = filter.states && filter.states.length > 0 ? new Set(filter.states) : null;
+    const matches = [];
+
+    for (const job of this.jobs.values()) {
+      if (states && !states.has(job.state)) continue;
+      if (!inRange(job.created_at, filter.createdAfter, filter.createdBefore)) continue;
+      if (!inRange(job.finished_at, filter.finishedAfter, filter.finishedBefore)) continue;
+      if (filter.image && jobImage(job) !== filter.image) continue;
+      if (filter.taskType && job.job?.task?.type !== filter.taskType) continue;
+      if (filter.submittedBy !== undefined && job.submitted_by !== filter.submittedBy) continue;
+      if (filter.after && compareListPosition(job, filter.after) <= 0) continue;
+      matches.push(job);
+    }
+
+    matches.sort((a, b) =>
+      compareListPosition(a, { createdAt: b.created_at, jobId: b.job_id })
+    );
+
+    const limit = filter.limit ?? matches.length;
+    return {
+      jobs: matches.slice(0, limit),
+      hasMore: matches.length > limit
+    };
+  }
+
+
   /**
    * Get how many jobs are currently running.
    * Used for /health and for the scheduler's concurrency limit.
@@ -108,6 +264,170 @@ class JobStore {
   getTotalJobCount() {
     return this.jobs.size;
   }
+
+
+  /**
+   * Forget a job (history retention, or an atomic batch rolled back).
+   * Returns false if there is no such job.
+   */
+  removeJob(jobId) {
+    if (!this.jobs.delete(jobId)) {
+      return false;
+    }
+    this._append({ op: "delete", job_id: jobId });
+    return true;
+  }
+
+
+  /**
+   * Remove finished, failed and cancelled jobs that ended before `cutoffMs`
+   * (epoch ms). Returns how many were removed.
+   */
+  removeFinishedBefore(cutoffMs) {
+    let removed = 0;
+    for (const [jobId, record] of this.jobs) {
+      if (TERMINAL_STATES.has(record.state) && record.finished_at && Date.parse(record.finished_at) < cutoffMs) {
+        this.removeJob(jobId);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+
+  /**
+   * Rewrite the journal as one entry per job once it has grown past
+   * `aboveBytes` and to twice its size after the last compaction (so a
+   * large job history is not rewritten over and over).
+   * Returns true if it was compacted.
+   */
+  compact({ aboveBytes }) {
+    if (!this._journalPath || this._journalBytes < Math.max(aboveBytes, 2 * this._compactedBytes)) {
+      return false;
+    }
+
+    try {
+      this._journalBytes = this._compactedBytes = compactJournal(this._journalPath, this.jobs.values());
+      return true;
+    } catch (err) {
+      console.error(`[jobStore] Failed to compact the journal: ${err.message}`);
+      return false;
+    }
+  }
+
+
+  /**
+   * Append one entry to the journal (no-op until open() is called).
+   * Sync on purpose: the HTTP response must not claim "queued" before
+   * the job is on disk. Returns false if the write failed.
+   */
+  _append(entry) {
+    if (!this._journalPath) {
+      return true;
+    }
+
+    const line = JSON.stringify(entry) + "\n";
+    try {
+      fs.appendFileSync(this._journalPath, line);
+      this._journalBytes += Buffer.byteLength(line);
+      return true;
+    } catch (err) {
+      console.error(`[jobStore] Failed to write journal entry: ${err.message}`);
+      return false;
+    }
+  }
+}
+
+
+/**
+ * Image a job runs: runtime.image, or the built image for mode = "build".
+ */
+export function jobImage(record) {
+  return record.build?.image || record.job?.runtime?.image || null;
+}
+
+
+/**
+ * Is an ISO timestamp within [fromMs, toMs]? Open bounds are skipped;
+ * a missing timestamp never matches a bounded range.
+ */
+function inRange(isoTime, fromMs, toMs) {
+  if (fromMs === undefined && toMs === undefined) return true;
+  if (!isoTime) return false;
+
+  const t = Date.parse(isoTime);
+  if (fromMs !== undefined && t < fromMs) return false;
+  if (toMs !== undefined && t > toMs) return false;
+  return true;
+}
+
+
+/**
+ * Order of a record relative to a listing position { createdAt, jobId }.
+ */
+function compareListPosition(record, position) {
+  if (record.created_at !== position.createdAt) {
+    return record.created_at < position.createdAt ? -1 : 1;
+  }
+  if (record.job_id === position.jobId) return 0;
+  return record.job_id < position.jobId ? -1 : 1;
+}
+
+
+/**
+ * Replay a journal file into a fresh Map<job_id, jobRecord>.
+ * A torn last line (crash mid-write) or other garbage is skipped.
+ */
+function readJournal(journalPath) {
+  const jobs = new Map();
+
+  if (!fs.existsSync(journalPath)) {
+    return jobs;
+  }
+
+  const lines = fs.readFileSync(journalPath, "utf8").split("\n");
+
+  for (const line of lines) {
+    if (!line.trim()) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      console.warn("[jobStore] Skipping unreadable journal line");
+      continue;
+    }
+
+    if (entry.op === "put" && entry.record?.job_id) {
+      jobs.set(entry.record.job_id, entry.record);
+    } else if (entry.op === "update" && jobs.has(entry.job_id)) {
+      jobs.set(entry.job_id, { ...jobs.get(entry.job_id), ...entry.patch });
+    } else if (entry.op === "delete") {
+      jobs.delete(entry.job_id);
+    }
+  }
+
+  return jobs;
+}
+
+
+/**
+ * Rewrite the journal as one "put" per record; returns its size in bytes.
+ * Written to a temp file first and renamed, so a crash here leaves either
+ * the old or the new journal, never half of one.
+ */
+function compactJournal(journalPath, records) {
+  const tmpPath = `${journalPath}.tmp`;
+  const lines = [];
+
+  for (const record of records) {
+    lines.push(JSON.stringify({ op: "put", record }));
+  }
+
+  const text = lines.length ? lines.join("\n") + "\n" : "";
+  fs.writeFileSync(tmpPath, text);
+  fs.renameSync(tmpPath, journalPath);
+  return Buffer.byteLength(text);
 }
 
 
@@ -0,0 +1,272 @@
+/**
+ * Prometheus metrics, served by GET /metrics in the text exposition format
+ * (version 0.0.4).
+ *
+ * Counters and histograms live in memory and start from zero when the worker
+ * starts (Prometheus handles the reset). Job completions and timings come
+ * from jobStore "updated" events; submissions and rejections are counted by
+ * POST /jobs, since rejected jobs never reach the store. Gauges are read at
+ * scrape time from the same snapshot GET /health returns.
+ *
+ * A failed attempt that runtime.retry requeues counts as a retry, not a
+ * failure; queue wait for the next attempt runs from the failed one's end.
+ * Jobs answered from the result cache count as cache hits and are left out
+ * of the run duration histogram.
+ *
+ * Jobs are labelled by runtime.image; build-mode jobs share the label
+ * "(build)" so content-hash tags don't each become a series, and
+ * process-mode jobs (no image) share "(process)".
+ */
+
+import { resultCache } from "./resultCache.js";
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds
+const QUEUE_WAIT_BUCKETS = [0.1, 0.5, 1, 5, 15, 30, 60, 300, 900, 3600];
+const RUN_DURATION_BUCKETS = [0.5, 1, 5, 10, 30, 60, 120, 300, 900, 3600];
+
+const TERMINAL_STATES = ["finished", "failed", "cancelled"];
+
+const BYTES_PER_MB = 1024 * 1024;
+
+class Histogram {
+  constructor(buckets) {
+    this.buckets = buckets;
+    // Map<label value, { counts: number[], sum: number, count: number }>
+    this.series = new Map();
+  }
+
+  observe(label, value) {
+    let series = this.series.get(label);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(label, series);
+    }
+
+    this.buckets.forEach((le, i) => {
+      if (value <= le) series.counts[i] += 1;
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+}
+
+class WorkerMetrics {
+  constructor() {
+    this.submitted = 0;
+    this.finished = 0;
+    this.cancelled = 0;
+    this.cacheHits = 0;
+    // Map<error code, count>
+    this.rejected = new Map();
+    this.failed = new Map();
+    this.retried = new Map();
+
+    this.queueWait = new Histogram(QUEUE_WAIT_BUCKETS);
+    this.runDuration = new Histogram(RUN_DURATION_BUCKETS);
+
+    this._jobStore = null;
+    this._onUpdated = (record, patch) => this._observe(record, patch);
+  }
+
+  /**
+   * Start counting state changes of jobs in `jobStore`.
+   */
+  attach(jobStore) {
+    this._jobStore = jobStore;
+    jobStore.on("updated", this._onUpdated);
+  }
+
+  /**
+   * A POST /jobs request was received (accepted or not).
+   */
+  jobSubmitted() {
+    this.submitted += 1;
+  }
+
+  /**
+   * A submission was rejected with error `code`.
+   */
+  jobRejected(code) {
+    increment(this.rejected, code);
+  }
+
+  _observe(record, patch) {
+    const label = imageLabel(record);
+
+    if (patch.state === "running" && record.started_at) {
+      // A retry has waited since its previous attempt ended
+      const previous = record.attempts?.[record.attempts.length - 1];
+      this.queueWait.observe(label, secondsBetween(previous?.finished_at || record.created_at, record.started_at));
+      return;
+    }
+
+    if (patch.state === "queued" && patch.attempts) {
+      increment(this.retried, patch.attempts[patch.attempts.length - 1].error?.code || "UNKNOWN");
+      return;
+    }
+
+    if (!TERMINAL_STATES.includes(patch.state)) {
+      return;
+    }
+
+    if (patch.state === "finished") {
+      this.finished += 1;
+    } else if (patch.state === "failed") {
+      increment(this.failed, record.error?.code || "UNKNOWN");
+    } else {
+      this.cancelled += 1;
+    }
+
+    if (record.cache_hit) {
+      this.cacheHits += 1;
+      return;
+    }
+
+    // Jobs cancelled while queued never ran
+    if (record.started_at && record.finished_at) {
+      this.runDuration.observe(label, secondsBetween(record.started_at, record.finished_at));
+    }
+  }
+
+  /**
+   * Render all metrics.
+   *
+   * @param {object} options
+   * @param {object} options.health - buildHealth() result
+   * @param {string} options.workerId
+   * @returns {{ contentType: string, body: string }}
+   */
+  render({ health, workerId }) {
+    const out = [];
+    const queued = this._jobStore ? this._jobStore.getJobsByState("queued").length : 0;
+
+    gauge(out, "worker_info", "Worker identity (always 1)", [[{ worker_id: workerId }, 1]]);
+    gauge(out, "worker_uptime_seconds", "Seconds since the worker process started", [[{}, health.uptime_seconds]]);
+
+    counter(out, "worker_jobs_submitted_total", "Jobs submitted via POST /jobs or /jobs/batch, accepted or not", [[{}, this.submitted]]);
+    counter(out, "worker_jobs_rejected_total", "Jobs rejected at submission, by error code", labelled(this.rejected, "code"));
+    counter(out, "worker_jobs_finished_total", "Jobs that finished successfully", [[{}, this.finished]]);
+    counter(out, "worker_jobs_failed_total", "Jobs that failed, by error code", labelled(this.failed, "code"));
+    counter(out, "worker_jobs_cancelled_total", "Jobs cancelled while queued or running", [[{}, this.cancelled]]);
+    counter(out, "worker_job_retries_total", "Failed attempts requeued by runtime.retry, by error code", labelled(this.retried, "code"));
+    counter(out, "worker_result_cache_hits_total", "Jobs completed from the result cache", [[{}, this.cacheHits]]);
+
+    gauge(out, "worker_queued_jobs", "Jobs waiting to start", [[{}, queued]]);
+    gauge(out, "worker_running_jobs", "Jobs currently running", [[{}, health.running_jobs]]);
+    gauge(out, "worker_max_concurrent_jobs", "Configured concurrency limit", [[{}, health.max_concurrent_jobs]]);
+    gauge(out, "worker_draining", "1 while draining (no new jobs start)", [[{}, health.drain ? 1 : 0]]);
+
+    const cache = resultCache.stats();
+    gauge(out, "worker_result_cache_entries", "Results held by the result cache", [[{}, cache.entries]]);
+    gauge(out, "worker_result_cache_bytes", "Output bytes held by the result cache", [[{}, cache.bytes]]);
+
+    histogram(out, "worker_job_queue_wait_seconds", "Time from submission to start, by image", this.queueWait);
+    histogram(out, "worker_job_run_duration_seconds", "Time from start to completion, by image", this.runDuration);
+
+    gauge(out, "worker_load_average", "Host load average", [
+      [{ window: "1m" }, health.load_average[0]],
+      [{ window: "5m" }, health.load_average[1]],
+      [{ window: "15m" }, health.load_average[2]]
+    ]);
+    gauge(out, "worker_cpu_threads", "Logical CPUs on the host", [[{}, health.cpu_threads]]);
+    gauge(out, "worker_dedicated_reserved_cpus", "CPUs reserved for dedicated jobs or by an admin", [
+      [{}, health.dedicated_reserved_count]
+    ]);
+    gauge(out, "worker_memory_total_bytes", "Host memory", [[{}, mbToBytes(health.memory_total_mb)]]);
+    gauge(out, "worker_memory_available_bytes", "Host memory available for new work", [
+      [{}, mbToBytes(health.memory_available_mb)]
+    ]);
+    gauge(out, "worker_disk_total_bytes", "Size of the disk holding each path", [
+      [{ path: "jobs" }, mbToBytes(health.jobs_disk_total_mb)],
+      [{ path: "docker" }, mbToBytes(health.docker_disk_total_mb)]
+    ]);
+    gauge(out, "worker_disk_available_bytes", "Free space on the disk holding each path", [
+      [{ path: "jobs" }, mbToBytes(health.jobs_disk_available_mb)],
+      [{ path: "docker" }, mbToBytes(health.docker_disk_available_mb)]
+    ]);
+    gauge(out, "worker_temperature_celsius", "Hottest temperature sensor", [[{}, health.temperature_c]]);
+    gauge(
+      out,
+      "worker_sensor_temperature_celsius",
+      "Temperature per sensor",
+      health.temperature_sensors.map((s) => [{ sensor: s.sensor }, s.temperature_c])
+    );
+    gauge(out, "worker_thermal_throttled", "1 while too hot to start new jobs", [[{}, health.thermal_throttled ? 1 : 0]]);
+
+    return { contentType: CONTENT_TYPE, body: out.join("\n") + "\n" };
+  }
+}
+
+function imageLabel(record) {
+  const runtime = record.job?.runtime;
+  return runtime?.mode === "image" ? runtime.image || "" : `(${runtime?.mode})`;
+}
+
+function secondsBetween(fromIso, toIso) {
+  return Math.max(0, (Date.parse(toIso) - Date.parse(fromIso)) / 1000);
+}
+
+function increment(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+function labelled(map, name) {
+  return [...map].map(([value, count]) => [{ [name]: value }, count]);
+}
+
+function mbToBytes(mb) {
+  return mb == null ? null : mb * BYTES_PER_MB;
+}
+
+function counter(out, name, help, samples) {
+  family(out, name, "counter", help, samples);
+}
+
+function gauge(out, name, help, samples) {
+  family(out, name, "gauge", help, samples);
+}
+
+/**
+ * Append one metric family. Samples with a null value (unknown on this
+ * host) are left out.
+ */
+function family(out, name, type, help, samples) {
+  out.push(`# HELP ${name} ${help}`);
+  out.push(`# TYPE ${name} ${type}`);
+  for (const [labels, value] of samples) {
+    if (value == null) continue;
+    out.push(`${name}${formatLabels(labels)} ${formatValue(value)}`);
+  }
+}
+
+function histogram(out, name, help, hist) {
+  out.push(`# HELP ${name} ${help}`);
+  out.push(`# TYPE ${name} histogram`);
+  for (const [image, series] of hist.series) {
+    hist.buckets.forEach((le, i) => {
+      out.push(`${name}_bucket${formatLabels({ image, le: String(le) })} ${series.counts[i]}`);
+    });
+    out.push(`${name}_bucket${formatLabels({ image, le: "+Inf" })} ${series.count}`);
+    out.push(`${name}_sum${formatLabels({ image })} ${formatValue(series.sum)}`);
+    out.push(`${name}_count${formatLabels({ image })} ${series.count}`);
+  }
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([key, value]) => `${key}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+export const workerMetrics = new WorkerMetrics();
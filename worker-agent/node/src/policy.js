@@ -0,0 +1,241 @@
+/**
+ * Job policy from the worker config: which images may run, and what
+ * runtime.limits a job ends up with.
+ *
+ * allowed_images patterns:
+ * - "alpine:3.20"               exact reference
+ * - "python:3.12-*", "ghcr.io/acme/*"
+ *                               glob; `*` matches anything (including "/"), `?` one character
+ * - "re:^ghcr\.io/acme/[a-z-]+:v\d+$"
+ *                               regular expression (unanchored unless you anchor it)
+ * - "alpine@sha256:<hex>"       digest pin; the job must use exactly this reference
+ * - "sha256:<hex>"              any repository, as long as it is pinned to this digest
+ *
+ * An empty list allows every image.
+ */
+
+// [runtime.limits field, config.limits key]
+const LIMIT_FIELDS = [
+  ["memory_mb", "memoryMb"],
+  ["cpus", "cpus"],
+  ["max_runtime_seconds", "maxRuntimeSeconds"],
+  ["dedicated_cpus", "dedicatedCpus"]
+];
+
+const DIGEST_PATTERN = /^sha256:[a-f0-9]{64}$/;
+
+/**
+ * Is `image` allowed by any of `patterns`?
+ *
+ * @param {string} image
+ * @param {string[]} patterns - config.allowedImages
+ * @returns {boolean}
+ */
+export function isImageAllowed(image, patterns) {
+  if (!Array.isArray(patterns) || patterns.length === 0) {
+    return true;
+  }
+  return patterns.some((pattern) => imageMatches(image, pattern));
+}
+
+/**
+ * Does `image` match a single allowed_images pattern?
+ */
+export function imageMatches(image, pattern) {
+  if (pattern.startsWith("re:")) {
+    return new RegExp(pattern.slice(3)).test(image);
+  }
+
+  if (DIGEST_PATTERN.test(pattern)) {
+    return image.endsWith(`@${pattern}`);
+  }
+
+  if (pattern.includes("@")) {
+    return image === pattern;
+  }
+
+  return globToRegExp(pattern).test(image);
+}
+
+/**
+ * Images a Dockerfile pulls: the `# syntax=` frontend BuildKit runs, FROM
+ * bases, `COPY --from=` / `ADD --from=` and `RUN --mount=...,from=` sources,
+ * minus build stages and "scratch".
+ * `$VAR` / `${VAR}` are replaced by the defaults of ARGs declared before the
+ * first FROM; references still holding a variable after that cannot be
+ * checked and are returned in `unresolved`.
+ *
+ * @param {string} dockerfile
+ * @returns {{ images: string[], unresolved: string[] }}
+ */
+export function dockerfileImages(dockerfile) {
+  const args = new Map();
+  const stages = new Set();
+  const images = new Set();
+  const unresolved = new Set();
+  let seenFrom = false;
+
+  const addSource = (ref) => {
+    const image = ref.replace(/\$\{([A-Za-z_][A-Za-z0-9_]*)\}|\$([A-Za-z_][A-Za-z0-9_]*)/g, (match, braced, bare) =>
+      args.get(braced || bare) ?? match
+    );
+    if (stages.has(image.toLowerCase()) || /^\d+$/.test(image) || image.toLowerCase() === "scratch") return;
+    (image.includes("$") ? unresolved : images).add(image);
+  };
+
+  const rawLines = String(dockerfile).split(/\r?\n/);
+  const directives = parserDirectives(rawLines);
+  if (directives.syntax) {
+    (directives.syntax.includes("$") ? unresolved : images).add(directives.syntax);
+  }
+
+  const escape = directives.escape === "`" ? "`" : "\\";
+  const lines = rawLines
+    .slice(directives.count)
+    .join("\n")
+    .split(`${escape}\n`).join(" ")
+    .split("\n")
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith("#"));
+
+  for (const line of lines) {
+    const [instruction, ...words] = line.split(/\s+/);
+    const flags = words.filter((w) => w.startsWith("--"));
+    const operands = words.filter((w) => !w.startsWith("--"));
+
+    switch (instruction.toUpperCase()) {
+      case "ARG":
+        if (!seenFrom) {
+          for (const word of operands) {
+            const [name, ...value] = word.split("=");
+            if (value.length > 0) args.set(name, value.join("=").replace(/^(["'])(.*)\1$/, "$2"));
+          }
+        }
+        break;
+      case "FROM":
+        seenFrom = true;
+        if (operands[0]) addSource(operands[0]);
+        if (operands[1]?.toUpperCase() === "AS" && operands[2]) stages.add(operands[2].toLowerCase());
+        break;
+      case "COPY":
+      case "ADD":
+        for (const flag of flags) {
+          if (flag.startsWith("--from=")) addSource(flag.slice("--from=".length));
+        }
+        break;
+      case "RUN":
+        for (const flag of flags) {
+          const from = flag.startsWith("--mount=") && flag.match(/[=,]from=([^,]+)/);
+          if (from) addSource(from[1]);
+        }
+        break;
+    }
+  }
+
+  return { images: [...images], unresolved: [...unresolved] };
+}
+
+/**
+ * Parser directives (`# syntax=...`, `# escape=...`): `# key=value` lines at
+ * the very top; the first line of any other kind ends them. `count` is the
+ * number of directive lines.
+ */
+function parserDirectives(lines) {
+  const directives = { count: 0 };
+  for (const line of lines) {
+    const match = line.match(/^\s*#\s*([a-zA-Z][a-zA-Z0-9_-]*)\s*=\s*(.*?)\s*$/);
+    if (!match) break;
+    directives[match[1].toLowerCase()] = match[2];
+    directives.count += 1;
+  }
+  return directives;
+}
+
+/**
+ * Returns a message if `pattern` is not a usable allowed_images entry, else null.
+ * Used by config validation.
+ */
+export function checkImagePattern(pattern) {
+  if (typeof pattern !== "string" || pattern.length === 0) {
+    return "must be a non-empty string";
+  }
+
+  if (pattern.startsWith("re:")) {
+    try {
+      new RegExp(pattern.slice(3));
+    } catch (err) {
+      return `is not a valid regular expression (${err.message})`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Apply the worker's default and maximum limits to a job's runtime.limits.
+ *
+ * Missing fields get the configured default. Fields above the configured
+ * maximum are either clamped down to it (on_exceed: "clamp", listed in
+ * `adjustments`) or reported as an error (on_exceed: "reject").
+ *
+ * @param {object | undefined} limits - runtime.limits as submitted (already shape-checked)
+ * @param {object} policy - config.limits
+ * @returns {{ limits: object, adjustments: Array<{ field: string, requested: number, applied: number }>, error: { code: string, message: string } | null }}
+ */
+export function applyLimitPolicy(limits, policy) {
+  const effective = { ...(limits || {}) };
+  const adjustments = [];
+
+  for (const [field, key] of LIMIT_FIELDS) {
+    if (effective[field] === undefined && policy.defaults[key] != null) {
+      effective[field] = policy.defaults[key];
+    }
+
+    const max = policy.max[key];
+    if (max == null || effective[field] === undefined || effective[field] <= max) {
+      continue;
+    }
+
+    if (policy.onExceed === "reject") {
+      return {
+        limits: effective,
+        adjustments,
+        error: {
+          code: "LIMIT_EXCEEDED",
+          message: `runtime.limits.${field}=${effective[field]} exceeds this worker's maximum of ${max}`
+        }
+      };
+    }
+
+    adjustments.push({ field, requested: effective[field], applied: max });
+    effective[field] = max;
+  }
+
+  return { limits: effective, adjustments, error: null };
+}
+
+/**
+ * config.limits.max as runtime.limits-style snake_case (unset maxima omitted),
+ * for GET /info.
+ */
+export function maxLimitsForInfo(policy) {
+  const max = {};
+  for (const [field, key] of LIMIT_FIELDS) {
+    if (policy.max[key] != null) {
+      max[field] = policy.max[key];
+    }
+  }
+  return max;
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .split("")
+    .map((ch) => {
+      if (ch === "*") return ".*";
+      if (ch === "?") return ".";
+      return ch.replace(/[.+^${}()|[\]\\/]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`);
+}
@@ -0,0 +1,208 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Dedicated CPU reservations.
+ *
+ * Hands out specific CPU ids, either to a job that asks for
+ * runtime.limits.dedicated_cpus (pinned with `docker run --cpuset-cpus`,
+ * released when the job ends) or to an admin via /admin/reservations
+ * (benchmarks, pinned services; held until released).
+ *
+ * Reserved ids are reported by /health as dedicated_reserved_cpu_ids and are
+ * taken out of the shared CPU pool the scheduler admits `cpus` quotas into.
+ *
+ * Admin reservations are saved to <jobs_dir>/reservations.json so they
+ * survive a restart; job reservations are not (their jobs don't either).
+ */
+
+const RESERVATIONS_FILE = "reservations.json";
+
+export class ReservationError extends Error {
+  /**
+   * @param {string} code - API error code
+   * @param {string} message
+   */
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+class CpuReservationManager {
+  constructor(cpuThreads = (os.cpus() || []).length) {
+    this.cpuThreads = cpuThreads;
+
+    // Map<reservation_id, { reservation_id, kind, job_id, label, cpu_ids, created_at }>
+    this.reservations = new Map();
+
+    this._filePath = null;
+  }
+
+
+  /**
+   * Load saved admin reservations from `dir` and keep saving there.
+   */
+  open(dir) {
+    fs.mkdirSync(dir, { recursive: true });
+    this._filePath = path.join(dir, RESERVATIONS_FILE);
+
+    if (!fs.existsSync(this._filePath)) {
+      return;
+    }
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(this._filePath, "utf8"));
+      for (const r of Array.isArray(saved) ? saved : []) {
+        const ids = (r.cpu_ids || []).filter((id) => Number.isInteger(id) && id < this.cpuThreads);
+        if (ids.length > 0) {
+          this.reservations.set(r.reservation_id, { ...r, cpu_ids: ids });
+        }
+      }
+    } catch (err) {
+      console.warn(`[reservations] Ignoring unreadable ${this._filePath}: ${err.message}`);
+    }
+  }
+
+
+  /**
+   * All reserved CPU ids, ascending.
+   */
+  reservedCpuIds() {
+    const ids = [];
+    for (const r of this.reservations.values()) {
+      ids.push(...r.cpu_ids);
+    }
+    return ids.sort((a, b) => a - b);
+  }
+
+
+  /**
+   * CPU ids nobody holds, highest first (CPU 0 is the last one handed out;
+   * it tends to take most interrupts).
+   */
+  freeCpuIds() {
+    const reserved = new Set(this.reservedCpuIds());
+    const free = [];
+    for (let id = this.cpuThreads - 1; id >= 0; id--) {
+      if (!reserved.has(id)) free.push(id);
+    }
+    return free;
+  }
+
+
+  /**
+   * Reserve `count` CPUs for a job.
+   * Returns the CPU ids, or null if not enough are free.
+   */
+  reserveForJob(jobId, count) {
+    const free = this.freeCpuIds();
+    if (free.length < count) {
+      return null;
+    }
+
+    const cpuIds = free.slice(0, count).sort((a, b) => a - b);
+    this.reservations.set(`job:${jobId}`, {
+      reservation_id: `job:${jobId}`,
+      kind: "job",
+      job_id: jobId,
+      label: null,
+      cpu_ids: cpuIds,
+      created_at: new Date().toISOString()
+    });
+    return cpuIds;
+  }
+
+
+  /**
+   * Release whatever a job holds (no-op if it holds nothing).
+   */
+  releaseJob(jobId) {
+    this.reservations.delete(`job:${jobId}`);
+  }
+
+
+  /**
+   * Admin reservation: either `cpuIds` (exact ids) or `count` (any free ids).
+   * Throws ReservationError if the request is malformed or the CPUs are taken.
+   */
+  reserve({ count, cpuIds, label = null }) {
+    let ids;
+
+    if (Array.isArray(cpuIds)) {
+      if (cpuIds.length === 0 || !cpuIds.every((id) => Number.isInteger(id) && id >= 0 && id < this.cpuThreads)) {
+        throw new ReservationError(
+          "BAD_RESERVATION",
+          `cpu_ids must be a non-empty array of ids between 0 and ${this.cpuThreads - 1}`
+        );
+      }
+
+      const reserved = new Set(this.reservedCpuIds());
+      const taken = cpuIds.filter((id) => reserved.has(id));
+      if (taken.length > 0) {
+        throw new ReservationError("CPUS_UNAVAILABLE", `CPUs already reserved: ${taken.join(", ")}`);
+      }
+      ids = [...new Set(cpuIds)].sort((a, b) => a - b);
+    } else if (Number.isInteger(count) && count > 0) {
+      const free = this.freeCpuIds();
+      if (free.length < count) {
+        throw new ReservationError("CPUS_UNAVAILABLE", `Only ${free.length} CPUs are free`);
+      }
+      ids = free.slice(0, count).sort((a, b) => a - b);
+    } else {
+      throw new ReservationError("BAD_RESERVATION", "Provide either count (positive integer) or cpu_ids");
+    }
+
+    const reservation = {
+      reservation_id: `res-${crypto.randomBytes(6).toString("hex")}`,
+      kind: "admin",
+      job_id: null,
+      label: label === null ? null : String(label),
+      cpu_ids: ids,
+      created_at: new Date().toISOString()
+    };
+
+    this.reservations.set(reservation.reservation_id, reservation);
+    this._save();
+    return reservation;
+  }
+
+
+  /**
+   * Release an admin reservation. Returns false if there is no such
+   * reservation (job reservations are released by their job only).
+   */
+  release(reservationId) {
+    const existing = this.reservations.get(reservationId);
+    if (!existing || existing.kind !== "admin") {
+      return false;
+    }
+
+    this.reservations.delete(reservationId);
+    this._save();
+    return true;
+  }
+
+
+  list() {
+    return Array.from(this.reservations.values());
+  }
+
+
+  _save() {
+    if (!this._filePath) return;
+
+    const admin = this.list().filter((r) => r.kind === "admin");
+    try {
+      fs.writeFileSync(this._filePath, JSON.stringify(admin, null, 2));
+    } catch (err) {
+      console.error(`[reservations] Failed to save ${this._filePath}: ${err.message}`);
+    }
+  }
+}
+
+
+// Export a singleton instance.
+export const cpuReservations = new CpuReservationManager();
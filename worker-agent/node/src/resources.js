@@ -0,0 +1,95 @@
+/**
+ * Resource-aware admission.
+ *
+ * Jobs declare what they need in runtime.limits:
+ * - memory_mb: hard memory limit for the container
+ * - cpus:      CPU quota (may be fractional, e.g. 0.5)
+ * - dedicated_cpus: whole CPUs pinned to the job (see reservations.js)
+ *
+ * The scheduler only starts a job when its declared memory fits both the
+ * worker's uncommitted memory (total minus reserve minus what running jobs
+ * declared) and the memory the host actually has available right now, and
+ * its cpus fit the uncommitted shared CPU threads (those not reserved).
+ * A dedicated_cpus job instead needs that many unreserved CPU ids; its cpus
+ * quota does not count against the shared pool. Undeclared resources count as 0.
+ */
+
+/**
+ * What a job asks for.
+ *
+ * @param {object} jobRecord
+ * @returns {{ memoryMb: number, cpus: number, dedicatedCpus: number }}
+ */
+export function jobResourceRequest(jobRecord) {
+  const limits = jobRecord.job?.runtime?.limits || {};
+  const dedicatedCpus = Number(limits.dedicated_cpus) || 0;
+  return {
+    memoryMb: Number(limits.memory_mb) || 0,
+    cpus: dedicatedCpus > 0 ? 0 : Number(limits.cpus) || 0,
+    dedicatedCpus
+  };
+}
+
+/**
+ * Sum of the resources declared by the given (running) jobs.
+ *
+ * @param {object[]} jobRecords
+ * @returns {{ memoryMb: number, cpus: number }}
+ */
+export function committedResources(jobRecords) {
+  const total = { memoryMb: 0, cpus: 0 };
+  for (const record of jobRecords) {
+    const request = jobResourceRequest(record);
+    total.memoryMb += request.memoryMb;
+    total.cpus += request.cpus;
+  }
+  return total;
+}
+
+/**
+ * Could this job ever run here, even on an idle worker?
+ * Used at submission time.
+ *
+ * @param {object} jobRecord - anything with a .job (a bare { job } works)
+ * @param {{ memoryTotalMb: number, cpuThreads: number }} host
+ * @param {{ memoryReserveMb: number }} settings
+ * @returns {string | null} why not, or null if it fits
+ */
+export function exceedsWorkerCapacity(jobRecord, host, settings) {
+  const request = jobResourceRequest(jobRecord);
+  const usableMemoryMb = host.memoryTotalMb - settings.memoryReserveMb;
+
+  if (request.memoryMb > usableMemoryMb) {
+    return `runtime.limits.memory_mb=${request.memoryMb} exceeds this worker's ${usableMemoryMb} MB of job memory`;
+  }
+
+  if (request.cpus > host.cpuThreads) {
+    return `runtime.limits.cpus=${request.cpus} exceeds this worker's ${host.cpuThreads} CPU threads`;
+  }
+
+  if (request.dedicatedCpus > host.cpuThreads) {
+    return `runtime.limits.dedicated_cpus=${request.dedicatedCpus} exceeds this worker's ${host.cpuThreads} CPU threads`;
+  }
+
+  return null;
+}
+
+/**
+ * Can this job start now, given what is already committed?
+ *
+ * @param {{ memoryMb: number, cpus: number, dedicatedCpus: number }} request
+ * @param {{ memoryMb: number, cpus: number }} committed - declared by running jobs
+ * @param {{ memoryTotalMb: number, memoryAvailableMb: number, sharedCpuThreads: number, freeCpuIds: number }} host
+ * @param {{ memoryReserveMb: number }} settings
+ * @returns {boolean}
+ */
+export function fitsNow(request, committed, host, settings) {
+  const usableMemoryMb = host.memoryTotalMb - settings.memoryReserveMb;
+
+  if (committed.memoryMb + request.memoryMb > usableMemoryMb) return false;
+  if (request.memoryMb > host.memoryAvailableMb - settings.memoryReserveMb) return false;
+  if (committed.cpus + request.cpus > host.sharedCpuThreads) return false;
+  if (request.dedicatedCpus > host.freeCpuIds) return false;
+
+  return true;
+}
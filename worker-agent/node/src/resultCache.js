@@ -0,0 +1,163 @@
+import { contentHash } from "./canonical.js";
+import { normalizeImageRef } from "./images.js";
+
+/**
+ * Result cache for deterministic jobs (result_cache in the worker config,
+ * runtime.cache_result on the job).
+ *
+ * A job that opts in is looked up by the digest its image resolves to on
+ * this worker plus its canonical JSON without job_id (limits as stored,
+ * i.e. after the worker's defaults). On a hit the scheduler completes it
+ * with the stored exit code, stdout and stderr instead of running it; on a
+ * miss, a run that ended with an exit code (whatever its value) is stored.
+ *
+ * Entries are kept in memory (empty after a restart), least recently used
+ * first out once max_entries or max_mb of output is exceeded, and expire
+ * after ttl_seconds. When a tag is seen resolving to a new digest, entries
+ * for the tag's old digest are dropped.
+ */
+
+class ResultCache {
+  constructor() {
+    // Map<key, entry>, least recently used first
+    this.entries = new Map();
+    // Map<normalized image ref, digest last seen for it>
+    this.tagDigests = new Map();
+    // Output bytes held in entries
+    this.bytes = 0;
+  }
+
+  /**
+   * Whether a job's result may be cached (the job opts in and the cache is
+   * on). Jobs that declare workspace outputs never are: entries hold no
+   * artifacts, so a hit would complete them without any.
+   *
+   * @param {object} job
+   * @param {import("./config.js").config["resultCache"]} settings
+   */
+  appliesTo(job, settings) {
+    const outputs = job?.runtime?.workspace?.outputs;
+    return (
+      settings.enabled &&
+      job?.runtime?.cache_result === true &&
+      job.runtime.mode === "image" &&
+      !(Array.isArray(outputs) && outputs.length > 0)
+    );
+  }
+
+  /**
+   * Stored result for a job run on image `digest`, or null.
+   *
+   * @param {object} job - the stored job (record.job)
+   * @param {string} digest - what runtime.image resolves to locally
+   * @returns {{ exit_code: number, stdout: string, stderr: string, stored_at: string } | null}
+   */
+  lookup(job, digest) {
+    this._noteDigest(job.runtime.image, digest);
+
+    const key = cacheKey(job, digest);
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    if (Date.parse(entry.expires_at) <= Date.now()) {
+      this._delete(key);
+      return null;
+    }
+
+    // Most recently used goes last
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Keep the result of a run that ended with an exit code.
+   *
+   * @param {object} job
+   * @param {string} digest
+   * @param {{ exitCode: number, stdout: string, stderr: string }} result
+   * @param {import("./config.js").config["resultCache"]} settings
+   */
+  store(job, digest, { exitCode, stdout, stderr }, settings) {
+    this._noteDigest(job.runtime.image, digest);
+
+    const size = Buffer.byteLength(stdout || "") + Buffer.byteLength(stderr || "");
+    const maxBytes = settings.maxMb * 1024 * 1024;
+    if (size > maxBytes) {
+      return;
+    }
+
+    const key = cacheKey(job, digest);
+    this._delete(key);
+
+    const now = Date.now();
+    this.entries.set(key, {
+      image: normalizeImageRef(job.runtime.image),
+      digest,
+      exit_code: exitCode,
+      stdout: stdout || "",
+      stderr: stderr || "",
+      size,
+      stored_at: new Date(now).toISOString(),
+      expires_at: new Date(now + settings.ttlSeconds * 1000).toISOString()
+    });
+    this.bytes += size;
+
+    this._evict(settings.maxEntries, maxBytes);
+  }
+
+  /**
+   * Entry count and output bytes held, after dropping expired entries.
+   */
+  stats() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      if (Date.parse(entry.expires_at) <= now) this._delete(key);
+    }
+    return { entries: this.entries.size, bytes: this.bytes };
+  }
+
+  // A tag that now resolves to another digest was re-pulled or retagged:
+  // its old results no longer describe what the tag runs
+  _noteDigest(ref, digest) {
+    const image = normalizeImageRef(ref);
+    const previous = this.tagDigests.get(image);
+    this.tagDigests.set(image, digest);
+    if (previous === undefined || previous === digest) {
+      return;
+    }
+
+    for (const [key, entry] of this.entries) {
+      if (entry.image === image && entry.digest !== digest) {
+        this._delete(key);
+      }
+    }
+  }
+
+  _evict(maxEntries, maxBytes) {
+    const now = Date.now();
+    for (const [key, entry] of this.entries) {
+      const over = this.entries.size > maxEntries || this.bytes > maxBytes;
+      if (!over && Date.parse(entry.expires_at) > now) break;
+      this._delete(key);
+    }
+  }
+
+  _delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.bytes -= entry.size;
+    this.entries.delete(key);
+  }
+}
+
+/**
+ * Image digest + the job without its id.
+ */
+function cacheKey(job, digest) {
+  const { job_id, ...rest } = job;
+  return contentHash({ image_digest: digest, job: rest });
+}
+
+export const resultCache = new ResultCache();
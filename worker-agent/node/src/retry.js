@@ -0,0 +1,89 @@
+/**
+ * Job retries (runtime.retry).
+ *
+ * A job that fails with one of its retry_on error codes is put back in the
+ * queue by the scheduler instead of ending `failed`, until it has used
+ * max_attempts attempts (the first run included). The next attempt may not
+ * start before a backoff delay:
+ * - "fixed":       initial_delay_seconds every time
+ * - "exponential": initial_delay_seconds * 2^(retries so far), capped at
+ *                  max_delay_seconds
+ *
+ * Every attempt, retried or not, is summarised in the record's `attempts`,
+ * with the tail of its output and its resource usage.
+ *
+ * The retryable error codes are listed in the job schema (retry.retry_on);
+ * CANCELLED is never retried.
+ */
+
+const DEFAULT_POLICY = {
+  max_attempts: 1,
+  backoff: "exponential",
+  initial_delay_seconds: 5,
+  max_delay_seconds: 300,
+  retry_on: ["DOCKER_ERROR", "TIMEOUT"]
+};
+
+// Characters of stdout/stderr kept per attempt (the end, where errors usually are)
+const ATTEMPT_OUTPUT_CHARS = 4096;
+
+/**
+ * runtime.retry with defaults filled in (max_attempts 1 = no retries).
+ *
+ * @param {object} job
+ * @returns {{ max_attempts: number, backoff: "fixed" | "exponential", initial_delay_seconds: number, max_delay_seconds: number, retry_on: string[] }}
+ */
+export function retryPolicy(job) {
+  return { ...DEFAULT_POLICY, ...(job?.runtime?.retry || {}) };
+}
+
+/**
+ * Summary of one finished attempt for record.attempts.
+ *
+ * @param {number} number - 1 for the first run
+ * @param {object} fields - started_at, finished_at, exit_code, error, stdout, stderr, usage
+ */
+export function attemptSummary(number, { started_at, finished_at, exit_code, error, stdout, stderr, usage = null }) {
+  const truncated = (stdout || "").length > ATTEMPT_OUTPUT_CHARS || (stderr || "").length > ATTEMPT_OUTPUT_CHARS;
+  return {
+    attempt: number,
+    started_at,
+    finished_at,
+    exit_code,
+    error,
+    stdout: tail(stdout),
+    stderr: tail(stderr),
+    output_truncated: truncated,
+    usage
+  };
+}
+
+/**
+ * When to start the next attempt, or null if the job should not be retried.
+ *
+ * @param {object} jobRecord - the record of the attempt that just ended
+ * @param {object[]} attempts - every attempt so far, the one that just ended included
+ * @param {{ code: string } | null} error - how it ended
+ * @returns {string | null} ISO timestamp for not_before
+ */
+export function nextAttemptAt(jobRecord, attempts, error) {
+  const policy = retryPolicy(jobRecord.job);
+
+  // A cancel that raced with the failure still wins
+  if (!error || jobRecord.cancellation || !policy.retry_on.includes(error.code)) {
+    return null;
+  }
+  if (attempts.length >= policy.max_attempts) {
+    return null;
+  }
+
+  const retries = attempts.length - 1;
+  const factor = policy.backoff === "fixed" ? 1 : 2 ** retries;
+  const delaySeconds = Math.min(policy.initial_delay_seconds * factor, policy.max_delay_seconds);
+  return new Date(Date.now() + delaySeconds * 1000).toISOString();
+}
+
+function tail(text) {
+  const s = text || "";
+  return s.length > ATTEMPT_OUTPUT_CHARS ? s.slice(-ATTEMPT_OUTPUT_CHARS) : s;
+}
@@ -0,0 +1,250 @@
+/**
+ * Container sandbox policy.
+ *
+ * Every job container runs under the worker's `sandbox` policy (worker YAML):
+ * no network, read-only root filesystem with a tmpfs at /tmp, all
+ * capabilities dropped, no-new-privileges, a pids limit, a non-root user and
+ * ulimits. /workspace stays writable.
+ *
+ * A job may relax individual settings through runtime.sandbox, but only the
+ * fields listed in the policy's allow_overrides; anything else is rejected at
+ * submission. The policy actually applied is stored on the job record as
+ * `sandbox`. Build jobs' RUN steps get the network and ulimits of the same
+ * settings (sandboxBuildArgs).
+ */
+
+// runtime.sandbox fields a worker may let jobs override (snake_case, as in the job)
+export const SANDBOX_OVERRIDE_FIELDS = [
+  "network",
+  "read_only_rootfs",
+  "tmpfs_mb",
+  "cap_add",
+  "no_new_privileges",
+  "pids_limit",
+  "user",
+  "ulimits"
+];
+
+// Networks a job may ask for (besides the worker's own default)
+const JOB_NETWORKS = ["none", "bridge"];
+
+const CAPABILITY_PATTERN = /^[A-Z_]+$/;
+const USER_PATTERN = /^[A-Za-z0-9_.-]+(:[A-Za-z0-9_.-]+)?$/;
+const ULIMIT_NAME_PATTERN = /^[a-z]+$/;
+const ULIMIT_VALUE_PATTERN = /^-?\d+(:-?\d+)?$/;
+
+/**
+ * Validate the optional runtime.sandbox block against the worker policy.
+ *
+ * Returns:
+ * - null if valid (or absent)
+ * - { code, message } if invalid
+ */
+export function validateSandboxSpec(sandbox, policy) {
+  if (sandbox === undefined) {
+    return null;
+  }
+
+  if (!sandbox || typeof sandbox !== "object" || Array.isArray(sandbox)) {
+    return {
+      code: "BAD_SANDBOX",
+      message: "runtime.sandbox must be an object"
+    };
+  }
+
+  const defaults = appliedPolicy(policy);
+
+  for (const [field, value] of Object.entries(sandbox)) {
+    if (!SANDBOX_OVERRIDE_FIELDS.includes(field)) {
+      return {
+        code: "BAD_SANDBOX",
+        message: `Unknown runtime.sandbox field '${field}'`
+      };
+    }
+
+    const fieldError = validateSandboxField(field, value, defaults);
+    if (fieldError) {
+      return {
+        code: "BAD_SANDBOX",
+        message: `runtime.sandbox.${field} ${fieldError}`
+      };
+    }
+
+    // Asking for exactly what the policy already gives is not an override
+    if (!policy.allowOverrides.includes(field) && !sameValue(value, defaults[field])) {
+      return {
+        code: "SANDBOX_OVERRIDE_NOT_ALLOWED",
+        message: `This worker does not allow jobs to override sandbox.${field}`
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * The sandbox settings for one job: the worker policy with the job's
+ * (already validated) runtime.sandbox overrides applied.
+ *
+ * @param {object} job - the job JSON
+ * @param {object} policy - config.sandbox
+ * @returns {object} snake_case settings, as stored on the job record
+ */
+export function resolveSandbox(job, policy) {
+  const applied = appliedPolicy(policy);
+  const overrides = job?.runtime?.sandbox || {};
+  const overridden = [];
+
+  for (const field of SANDBOX_OVERRIDE_FIELDS) {
+    if (overrides[field] === undefined || sameValue(overrides[field], applied[field])) {
+      continue;
+    }
+
+    applied[field] =
+      field === "ulimits" ? { ...applied.ulimits, ...normalizeUlimits(overrides.ulimits) } : overrides[field];
+    overridden.push(field);
+  }
+
+  applied.overrides = overridden;
+  return applied;
+}
+
+/**
+ * `docker run` arguments for resolved sandbox settings.
+ *
+ * @param {object} sandbox - from resolveSandbox()
+ * @returns {string[]}
+ */
+export function sandboxDockerArgs(sandbox) {
+  const args = [];
+
+  if (sandbox.network) {
+    args.push("--network", sandbox.network);
+  }
+
+  if (sandbox.read_only_rootfs) {
+    args.push("--read-only");
+  }
+
+  if (sandbox.tmpfs_mb > 0) {
+    args.push("--tmpfs", `/tmp:rw,nosuid,nodev,size=${sandbox.tmpfs_mb}m`);
+  }
+
+  for (const cap of sandbox.cap_drop) {
+    args.push("--cap-drop", cap);
+  }
+
+  for (const cap of sandbox.cap_add) {
+    args.push("--cap-add", cap);
+  }
+
+  if (sandbox.no_new_privileges) {
+    args.push("--security-opt", "no-new-privileges");
+  }
+
+  if (sandbox.pids_limit > 0) {
+    args.push("--pids-limit", String(sandbox.pids_limit));
+  }
+
+  if (sandbox.user) {
+    args.push("--user", sandbox.user);
+  }
+
+  for (const [name, value] of Object.entries(sandbox.ulimits)) {
+    args.push("--ulimit", `${name}=${value}`);
+  }
+
+  return args;
+}
+
+/**
+ * `docker build` arguments for resolved sandbox settings, for the RUN steps
+ * of a build job. Builds only take the network (BuildKit knows "none" and
+ * its default bridge, which stands in for any other network) and ulimits;
+ * capabilities, user, read-only rootfs and pids limit do not apply to them.
+ *
+ * @param {object} sandbox - from resolveSandbox()
+ * @returns {string[]}
+ */
+export function sandboxBuildArgs(sandbox) {
+  const args = ["--network", sandbox.network === "none" ? "none" : "default"];
+
+  for (const [name, value] of Object.entries(sandbox.ulimits)) {
+    args.push("--ulimit", `${name}=${value}`);
+  }
+
+  return args;
+}
+
+/**
+ * Does the container run as someone other than root? The workspace then
+ * has to be writable by that user.
+ */
+export function runsAsNonRoot(sandbox) {
+  const user = String(sandbox.user || "").split(":")[0];
+  return user !== "" && user !== "0" && user !== "root";
+}
+
+/**
+ * config.sandbox (camelCase) -> the snake_case shape jobs and records use.
+ */
+function appliedPolicy(policy) {
+  return {
+    network: policy.network,
+    read_only_rootfs: policy.readOnlyRootfs,
+    tmpfs_mb: policy.tmpfsMb,
+    cap_drop: [...policy.capDrop],
+    cap_add: [...policy.capAdd],
+    no_new_privileges: policy.noNewPrivileges,
+    pids_limit: policy.pidsLimit,
+    user: policy.user,
+    ulimits: { ...policy.ulimits }
+  };
+}
+
+/**
+ * Returns a message fragment describing what is wrong, or null.
+ */
+function validateSandboxField(field, value, defaults) {
+  switch (field) {
+    case "network":
+      return JOB_NETWORKS.includes(value) || value === defaults.network
+        ? null
+        : `must be one of: ${[...new Set([...JOB_NETWORKS, defaults.network])].join(", ")}`;
+    case "read_only_rootfs":
+    case "no_new_privileges":
+      return typeof value === "boolean" ? null : "must be a boolean";
+    case "tmpfs_mb":
+    case "pids_limit":
+      return Number.isInteger(value) && value >= 0 ? null : "must be a non-negative integer (0 disables it)";
+    case "cap_add":
+      return Array.isArray(value) && value.every((cap) => typeof cap === "string" && CAPABILITY_PATTERN.test(cap))
+        ? null
+        : "must be an array of capability names (e.g. \"NET_BIND_SERVICE\")";
+    case "user":
+      return typeof value === "string" && USER_PATTERN.test(value) ? null : "must be \"user\" or \"uid:gid\"";
+    case "ulimits":
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return "must be an object of name: \"soft:hard\"";
+      }
+      for (const [name, limit] of Object.entries(value)) {
+        if (!ULIMIT_NAME_PATTERN.test(name) || !ULIMIT_VALUE_PATTERN.test(String(limit))) {
+          return `.${name} must be a number or "soft:hard"`;
+        }
+      }
+      return null;
+    default:
+      return "is not supported";
+  }
+}
+
+function normalizeUlimits(ulimits) {
+  return Object.fromEntries(Object.entries(ulimits).map(([name, value]) => [name, String(value)]));
+}
+
+function sameValue(a, b) {
+  if (a && typeof a === "object") {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  return a === b;
+}
@@ -1,147 +1,387 @@
 
-import { executeJob } from "./executor.js";
+import { jobLogs } from "./jobLogs.js";
+import { getHostResources } from "./systemMetrics.js";
+import { jobResourceRequest, committedResources, fitsNow } from "./resources.js";
+import { cpuReservations } from "./reservations.js";
+import { resolveSandbox } from "./sandbox.js";
+import { imageManager } from "./images.js";
+import { thermalMonitor } from "./thermal.js";
+import { workerDrain } from "./drain.js";
+import { attemptSummary, nextAttemptAt } from "./retry.js";
+import { resultCache } from "./resultCache.js";
+import { jobUsage } from "./usage.js";
 
 /**
  * Scheduler
  *
- * Periodically:
- *  - Checks how many jobs are running.
- *  - If there is free capacity, takes jobs from 'queued'.
- *  - Marks them as 'running' and calls executeJob(jobRecord).
- *  - When executeJob finishes, updates the job as 'finished' or 'failed'.
+ * Event-driven: keeps its own queue of queued job ids in submission order
+ * (created_at, then job_id) and runs a scheduling pass whenever something may
+ * let a job start: a submission, a job ending, a drain/undrain, a config
+ * reload (wake()). Several events in a row share one pass.
+ *
+ * A pass, unless the worker is draining or the host is too hot
+ * (thermal.throttle), starts queued jobs in order while there are free
+ * slots, skipping any whose declared memory/cpus don't fit right now so
+ * they don't block smaller jobs behind them.
+ *
+ * Starting is a compare-and-set from queued to running (jobStore.transition),
+ * so a job cancelled in the meantime is never started. The execution backend
+ * (config.backend, see backends/index.js) then runs it; when it returns, the
+ * job becomes 'finished', 'failed' or 'cancelled', or goes back in the queue
+ * when its runtime.retry policy allows another attempt (retry.js). A retried
+ * job carries `not_before` and is skipped until then. Jobs with
+ * runtime.cache_result may be completed from the result cache instead
+ * (resultCache.js).
+ *
+ * Conditions that change without an event (host memory, temperature, admin
+ * CPU reservations) are picked up by a slow fallback pass while jobs are
+ * waiting.
  */
+
+// Fallback pass while jobs wait for resources or a cooler host
+const FALLBACK_INTERVAL_MS = 5000;
+
 export class Scheduler {
   /**
    * @param {import("./jobStore.js").jobStore} jobStore
    * @param {import("./config.js").config} config
+   * @param {import("./backends/index.js").ExecutionBackend} backend
    */
-  constructor(jobStore, config) {
+  constructor(jobStore, config, backend) {
     this.jobStore = jobStore;
     this.config = config;
+    this.backend = backend;
+
+    // Ids of queued jobs, oldest first
+    this._queue = [];
+    // Ids of jobs this worker is running
+    this._running = new Set();
 
-    this._intervalHandle = null;
-    this._tickInProgress = false;
-    this._intervalMs = 500; // how often to check the queue
+    this._started = false;
+    this._passScheduled = false;
+    this._fallbackHandle = null;
+    // Wakes the scheduler when the earliest retry backoff ends
+    this._retryTimer = null;
+    this._retryTimerAt = null;
+
+    this._onCreated = (record) => {
+      this._enqueue(record);
+      this.wake();
+    };
+    this._onUpdated = (record, patch) => this._onStateChange(record, patch);
+    this._onDrainChanged = () => this.wake();
   }
 
   /**
-   * Start the periodic scheduling loop.
+   * Load the queued jobs from the store and start listening for changes.
    * Safe to call multiple times; only starts once.
    */
   start() {
-    if (this._intervalHandle) {
+    if (this._started) {
       return; // already running
     }
+    this._started = true;
 
-    this._intervalHandle = setInterval(() => {
-      this._tick();
-    }, this._intervalMs);
+    for (const record of this.jobStore.jobs.values()) {
+      if (record.state === "queued") this._enqueue(record);
+      if (record.state === "running") this._running.add(record.job_id);
+    }
+
+    this.jobStore.on("created", this._onCreated);
+    this.jobStore.on("updated", this._onUpdated);
+    workerDrain.on("changed", this._onDrainChanged);
+
+    this._fallbackHandle = setInterval(() => {
+      if (this._queue.length > 0) this.wake();
+    }, FALLBACK_INTERVAL_MS);
+    this._fallbackHandle.unref();
 
     console.log(
-      `[scheduler] Started with interval=${this._intervalMs}ms, maxConcurrentJobs=${this.config.maxConcurrentJobs}`
+      `[scheduler] Started with ${this._queue.length} queued jobs, maxConcurrentJobs=${this.config.maxConcurrentJobs}`
     );
+    this.wake();
   }
 
   /**
-   * Stop the scheduler loop.
+   * Stop starting jobs. Jobs already running are not affected.
    */
   stop() {
-    if (this._intervalHandle) {
-      clearInterval(this._intervalHandle);
-      this._intervalHandle = null;
-      console.log("[scheduler] Stopped");
+    if (!this._started) {
+      return;
+    }
+    this._started = false;
+
+    this.jobStore.off("created", this._onCreated);
+    this.jobStore.off("updated", this._onUpdated);
+    workerDrain.off("changed", this._onDrainChanged);
+    clearInterval(this._fallbackHandle);
+    this._fallbackHandle = null;
+    clearTimeout(this._retryTimer);
+    this._retryTimer = null;
+    this._retryTimerAt = null;
+    console.log("[scheduler] Stopped");
+  }
+
+  /**
+   * Ask for a scheduling pass (e.g. after a config reload). Calls made
+   * before the pass runs are coalesced into it.
+   */
+  wake() {
+    if (!this._started || this._passScheduled) {
+      return;
     }
+    this._passScheduled = true;
+    setImmediate(() => {
+      this._passScheduled = false;
+      this._schedule();
+    });
   }
 
   /**
-   * One scheduling tick:
-   *  - Check running jobs
-   *  - Find queued jobs
-   *  - Start as many as we have capacity for
+   * Keep the queue and the running set in step with job states.
    */
-  async _tick() {
-    if (this._tickInProgress) {
-      // Avoid overlapping ticks if one takes longer than the interval.
+  _onStateChange(record, patch) {
+    if (!patch.state) {
       return;
     }
 
-    this._tickInProgress = true;
+    const jobId = record.job_id;
 
-    try {
-      const runningCount = this.jobStore.getRunningJobCount();
-      const maxConcurrent = this.config.maxConcurrentJobs;
+    if (patch.state === "queued") {
+      // Back in the queue (a retry), at its submission-order position; if it
+      // was running, its slot is free again
+      this._running.delete(jobId);
+      this._enqueue(record);
+      this.wake();
+      return;
+    }
 
-      const availableSlots = maxConcurrent - runningCount;
-      if (availableSlots <= 0) {
-        // No capacity, nothing to do this tick
-        return;
-      }
+    this._dequeue(jobId);
 
-      const queuedJobs = this.jobStore.getJobsByState("queued");
-      if (queuedJobs.length === 0) {
-        // No queued jobs
-        return;
+    if (patch.state === "running") {
+      this._running.add(jobId);
+    } else if (this._running.delete(jobId)) {
+      // A running job ended: its slot and resources are free again
+      this.wake();
+    }
+  }
+
+  _enqueue(record) {
+    if (this._queue.includes(record.job_id)) {
+      return;
+    }
+
+    // Usually the newest job, so search from the back
+    let i = this._queue.length;
+    while (i > 0) {
+      const previous = this.jobStore.getJob(this._queue[i - 1]);
+      if (previous && compareQueueOrder(previous, record) <= 0) break;
+      i -= 1;
+    }
+    this._queue.splice(i, 0, record.job_id);
+  }
+
+  _dequeue(jobId) {
+    const i = this._queue.indexOf(jobId);
+    if (i !== -1) {
+      this._queue.splice(i, 1);
+    }
+  }
+
+  /**
+   * One scheduling pass:
+   *  - Check running jobs and the resources they declared
+   *  - Start, in queue order, every job that fits in the remaining slots,
+   *    memory and CPU
+   */
+  _schedule() {
+    if (!this._started || this._queue.length === 0) {
+      return;
+    }
+
+    const runningJobs = [...this._running].map((id) => this.jobStore.getJob(id)).filter(Boolean);
+    let availableSlots = this.config.maxConcurrentJobs - runningJobs.length;
+    if (availableSlots <= 0) {
+      // No capacity; the next job to end wakes us
+      return;
+    }
+
+    if (workerDrain.draining) {
+      // Queued jobs wait for undrain (or are dealt with by the shutdown)
+      return;
+    }
+
+    if (thermalMonitor.check(this.config.thermal).throttled) {
+      // Too hot; the fallback pass retries once the host has cooled down
+      return;
+    }
+
+    const host = getHostResources();
+    const freeCpuIds = cpuReservations.freeCpuIds().length;
+    host.freeCpuIds = freeCpuIds;
+    host.sharedCpuThreads = freeCpuIds;
+    const committed = committedResources(runningJobs);
+    const now = Date.now();
+
+    // Copy: starting a job removes it from the queue
+    for (const jobId of [...this._queue]) {
+      if (availableSlots <= 0) break;
+
+      const jobRecord = this.jobStore.getJob(jobId);
+      if (!jobRecord || jobRecord.state !== "queued") {
+        this._dequeue(jobId);
+        continue;
       }
 
-      const toStart = queuedJobs.slice(0, availableSlots);
+      // A retry still in its backoff; a timer wakes us when it is due
+      const notBefore = jobRecord.not_before ? Date.parse(jobRecord.not_before) : 0;
+      if (notBefore > now) {
+        this._wakeAt(notBefore);
+        continue;
+      }
 
-      for (const jobRecord of toStart) {
-        this._startJob(jobRecord).catch((err) => {
-          console.error(
-            `[scheduler] Unexpected error while starting job ${jobRecord.job_id}:`,
-            err
-          );
-        });
+      const request = jobResourceRequest(jobRecord);
+      if (!fitsNow(request, committed, host, this.config.resources)) {
+        // Stays queued; try the next (possibly smaller) job
+        continue;
       }
-    } finally {
-      this._tickInProgress = false;
+
+      // Account for it before the container has actually allocated anything
+      committed.memoryMb += request.memoryMb;
+      committed.cpus += request.cpus;
+      host.memoryAvailableMb -= request.memoryMb;
+      host.freeCpuIds -= request.dedicatedCpus;
+      host.sharedCpuThreads -= request.dedicatedCpus;
+      availableSlots -= 1;
+
+      this._startJob(jobRecord).catch((err) => {
+        console.error(
+          `[scheduler] Unexpected error while starting job ${jobId}:`,
+          err
+        );
+      });
+    }
+  }
+
+  /**
+   * Make sure a pass runs at `timeMs` (epoch ms); keeps only the earliest.
+   */
+  _wakeAt(timeMs) {
+    if (this._retryTimer && this._retryTimerAt <= timeMs) {
+      return;
     }
+    clearTimeout(this._retryTimer);
+    this._retryTimerAt = timeMs;
+    this._retryTimer = setTimeout(() => {
+      this._retryTimer = null;
+      this._retryTimerAt = null;
+      this.wake();
+    }, Math.max(0, timeMs - Date.now()));
+    this._retryTimer.unref();
   }
 
   /**
-   * Transition a job from queued -> running, then call executeJob,
-   * then update it to finished/failed depending on the result.
+   * Transition a job from queued -> running, then run it on the backend,
+   * then update it to finished/failed/cancelled depending on the result.
    */
   async _startJob(jobRecord) {
     const jobId = jobRecord.job_id;
 
-    // Mark the job as running
+    // Pin dedicated CPUs first; if they are gone the job just stays queued
+    const { dedicatedCpus } = jobResourceRequest(jobRecord);
+    let cpuIds = null;
+    if (dedicatedCpus > 0) {
+      cpuIds = cpuReservations.reserveForJob(jobId, dedicatedCpus);
+      if (!cpuIds) {
+        return;
+      }
+    }
+
+    // Mark the job as running, recording the sandbox it will run under (if
+    // the backend has one); only if it is still queued (it may have been
+    // cancelled meanwhile)
     const now = new Date().toISOString();
-    const runningRecord = this.jobStore.updateJob(jobId, {
+    const runningRecord = this.jobStore.transition(jobId, "queued", {
       state: "running",
-      started_at: now
+      started_at: now,
+      not_before: null,
+      sandbox: this.backend.sandboxed ? resolveSandbox(jobRecord.job, this.config.sandbox) : null,
+      ...(cpuIds ? { dedicated_cpu_ids: cpuIds } : {})
     });
 
     if (!runningRecord) {
       // Job disappeared or was cancelled between being picked and here
       console.warn(
-        `[scheduler] Job ${jobId} no longer exists or could not be updated to running`
+        `[scheduler] Job ${jobId} is no longer queued; not starting it`
       );
+      cpuReservations.releaseJob(jobId);
       return;
     }
 
-    console.log(`[scheduler] Starting job ${jobId} with image=${runningRecord.job?.runtime?.image}`);
+    const runtime = runningRecord.job?.runtime;
+    const imageLabel = runtime?.mode === "image" ? runtime.image : `(${runtime?.mode})`;
+    console.log(`[scheduler] Starting job ${jobId} on ${this.backend.name} with image=${imageLabel}`);
+
+    // Image pruning is least-recently-used first
+    if (this.backend.managesImages && runtime?.mode === "image") {
+      imageManager.touch(runtime.image);
+    }
 
-    // Execute the job in Docker
-    const result = await executeJob(runningRecord);
+    const result = await this._execute(runningRecord, cpuIds).finally(() => {
+      cpuReservations.releaseJob(jobId);
+    });
+
+    if (this.backend.managesImages && result.build?.image) {
+      imageManager.touch(result.build.image);
+    }
 
     const finishedAt = new Date().toISOString();
 
     let finalState = "finished";
     let error = null;
 
-    if (result.errorCode === "TIMEOUT") {
+    if (result.errorCode === "CANCELLED") {
+      finalState = "cancelled";
+      error = {
+        code: "CANCELLED",
+        message: "Job was cancelled while running"
+      };
+    } else if (result.errorCode === "TIMEOUT") {
       finalState = "failed";
       error = {
         code: "TIMEOUT",
         message: "Job exceeded max_runtime_seconds"
       };
+    } else if (result.errorCode === "BUILD_FAILED") {
+      finalState = "failed";
+      error = {
+        code: "BUILD_FAILED",
+        message: "Docker build failed; see build.log"
+      };
+    } else if (result.errorCode === "IMAGE_PULL_FAILED") {
+      finalState = "failed";
+      error = {
+        code: "IMAGE_PULL_FAILED",
+        message: "Could not pull the job's image; see stderr"
+      };
+    } else if (result.errorCode === "WORKSPACE_ERROR") {
+      finalState = "failed";
+      error = {
+        code: "WORKSPACE_ERROR",
+        message: "Could not prepare the job workspace"
+      };
     } else if (result.errorCode === "DOCKER_ERROR") {
       finalState = "failed";
       error = {
         code: "DOCKER_ERROR",
         message: "Docker failed to run the job"
       };
+    } else if (result.errorCode === "PROCESS_ERROR") {
+      finalState = "failed";
+      error = {
+        code: "PROCESS_ERROR",
+        message: "Could not start the job's process; see stderr"
+      };
     } else if (typeof result.exitCode === "number" && result.exitCode !== 0) {
       finalState = "failed";
       error = {
@@ -150,15 +390,45 @@ export class Scheduler {
       };
     }
 
+    const latest = this.jobStore.getJob(jobId) || runningRecord;
+    const usage = jobUsage(latest, finishedAt, result.usage);
+    const attempts = [
+      ...(latest.attempts || []),
+      attemptSummary((latest.attempts || []).length + 1, {
+        started_at: runningRecord.started_at,
+        finished_at: finishedAt,
+        exit_code: result.exitCode,
+        error,
+        stdout: result.stdout,
+        stderr: result.stderr,
+        usage
+      })
+    ];
+
+    // A cached result would only come back the same
+    const notBefore = finalState === "failed" && !result.cacheHit ? nextAttemptAt(latest, attempts, error) : null;
+    if (notBefore) {
+      this._requeue(jobId, attempts, notBefore);
+      return;
+    }
+
     const updated = this.jobStore.updateJob(jobId, {
       state: finalState,
       finished_at: finishedAt,
       exit_code: result.exitCode,
       stdout: result.stdout,
       stderr: result.stderr,
-      error
+      error,
+      attempts,
+      usage,
+      ...(result.cacheHit ? { cache_hit: true } : {}),
+      ...(result.build ? { build: result.build } : {}),
+      ...(result.artifacts ? { artifacts: result.artifacts, artifacts_skipped: result.artifactsSkipped } : {})
     });
 
+    // The record now holds the full output; live log streams read it from there
+    jobLogs.finish(jobId);
+
     if (!updated) {
       console.warn(
         `[scheduler] Job ${jobId} disappeared before completion could be recorded`
@@ -170,4 +440,108 @@ export class Scheduler {
       `[scheduler] Job ${jobId} completed with state=${updated.state}, exit_code=${updated.exit_code}, errorCode=${result.errorCode}`
     );
   }
+
+  /**
+   * Run a job on the configured backend, or answer it from the result cache
+   * when it opts in (the result then has cacheHit: true).
+   */
+  async _execute(runningRecord, cpuIds) {
+    const jobId = runningRecord.job_id;
+    const job = runningRecord.job;
+    const cacheSettings = this.config.resultCache;
+    const cacheable = resultCache.appliesTo(job, cacheSettings) && typeof this.backend.imageDigest === "function";
+    // A retry is looked up no more: it would get back the failure it retries
+    const firstAttempt = (runningRecord.attempts || []).length === 0;
+
+    // Not local yet means a miss; the digest is taken again after the pull
+    let digest = cacheable ? await this.backend.imageDigest(job.runtime.image) : null;
+    const cached = digest && firstAttempt ? resultCache.lookup(job, digest) : null;
+    if (cached) {
+      console.log(`[scheduler] Job ${jobId} answered from the result cache (stored ${cached.stored_at})`);
+      return { exitCode: cached.exit_code, stdout: cached.stdout, stderr: cached.stderr, errorCode: null, cacheHit: true };
+    }
+
+    const result = await this.backend.execute(runningRecord, {
+      cpusetCpus: cpuIds,
+      sandbox: runningRecord.sandbox,
+      pullTimeoutMs: this.config.images.pullTimeoutSeconds * 1000,
+      onPhase: (phase) => this._recordPhase(jobId, phase),
+      buildsDir: this.config.buildsDir,
+      buildTimeoutMs: this.config.buildTimeoutSeconds * 1000,
+      workspacesDir: this.config.workspacesDir,
+      artifactsDir: this.config.artifactsDir,
+      maxArtifactFileBytes: this.config.artifacts.maxFileMb * 1024 * 1024,
+      maxArtifactTotalBytes: this.config.artifacts.maxTotalMb * 1024 * 1024,
+      usageSampleMs: this.config.usage.sampleIntervalSeconds * 1000,
+      cgroupRoot: this.config.usage.cgroupRoot,
+      onOutput: (stream, data) => jobLogs.append(jobId, stream, data)
+    });
+
+    // Only runs that ended with an exit code; timeouts, cancels and CLI
+    // failures say nothing about the job
+    if (cacheable && result.errorCode === null && typeof result.exitCode === "number") {
+      digest = digest || (await this.backend.imageDigest(job.runtime.image));
+      if (digest) {
+        resultCache.store(job, digest, result, cacheSettings);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Put a failed job back in the queue for another attempt. The record is
+   * reset to its queued shape; the failed attempt is kept in `attempts`.
+   */
+  _requeue(jobId, attempts, notBefore) {
+    const last = attempts[attempts.length - 1];
+    this.jobStore.updateJob(jobId, {
+      state: "queued",
+      not_before: notBefore,
+      attempts,
+      started_at: null,
+      finished_at: null,
+      exit_code: null,
+      stdout: "",
+      stderr: "",
+      error: null,
+      phase: null,
+      phase_timestamps: {},
+      dedicated_cpu_ids: null,
+      build: null,
+      artifacts: null,
+      artifacts_skipped: null,
+      usage: null
+    });
+    jobLogs.finish(jobId);
+
+    console.log(
+      `[scheduler] Job ${jobId} attempt ${last.attempt} failed with ${last.error.code}; retrying at ${notBefore}`
+    );
+  }
+
+  /**
+   * Record the executor phase a running job has entered (see the backend's execute()),
+   * with the time it entered it.
+   */
+  _recordPhase(jobId, phase) {
+    const record = this.jobStore.getJob(jobId);
+    if (!record) return;
+
+    this.jobStore.updateJob(jobId, {
+      phase,
+      phase_timestamps: { ...(record.phase_timestamps || {}), [phase]: new Date().toISOString() }
+    });
+  }
+}
+
+
+/**
+ * Queue order: submission time, then job id (as GET /jobs lists them).
+ */
+function compareQueueOrder(a, b) {
+  if (a.created_at !== b.created_at) {
+    return a.created_at < b.created_at ? -1 : 1;
+  }
+  if (a.job_id === b.job_id) return 0;
+  return a.job_id < b.job_id ? -1 : 1;
 }
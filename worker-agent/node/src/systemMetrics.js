@@ -6,6 +6,8 @@ import path from "path";
 import { execSync } from "child_process";
 import { fileURLToPath } from "url";
 
+import { maxLimitsForInfo } from "./policy.js";
+
 
 
 /**
@@ -154,7 +156,15 @@ export function buildInfo(config) {
     cpu_cores: cores,
     cpu_threads: threads,
     memory_mb: Math.round(os.totalmem() / (1024 * 1024)),
-    labels: config.labels || []
+    labels: config.labels || [],
+    // What runs jobs here (docker, podman, local, fake)
+    backend: config.backend,
+    // What this worker accepts, so masters can route jobs without trial and error
+    allowed_modes: config.allowedModes,
+    allowed_images: config.allowedImages,
+    // Whether runtime.cache_result jobs can be answered from the result cache
+    result_cache: config.resultCache.enabled,
+    max_limits: maxLimitsForInfo(config.limits)
   };
 }
 
@@ -164,7 +174,7 @@ export function buildInfo(config) {
  * Linux: read MemAvailable from /proc/meminfo (best signal for "how much can we allocate").
  * Fallback to os.freemem() on non-Linux or if parsing fails.
  */
-function getMemoryAvailableMb() {
+export function getMemoryAvailableMb() {
   const platform = os.platform();
 
   // Non-Linux fallback
@@ -202,6 +212,20 @@ function getMemoryAvailableMb() {
 
 
 
+/**
+ * Host capacity used for job admission.
+ * Returns { memoryTotalMb, memoryAvailableMb, cpuThreads }.
+ */
+export function getHostResources() {
+  return {
+    memoryTotalMb: Math.round(os.totalmem() / (1024 * 1024)),
+    memoryAvailableMb: getMemoryAvailableMb(),
+    cpuThreads: (os.cpus() || []).length
+  };
+}
+
+
+
 /**
  * Node >=18: fs.statfsSync exists on Linux.
  * Returns { totalMb, availableMb } or null if unsupported.
@@ -228,6 +252,23 @@ function statFsMb(targetPath) {
 
 
 
+/**
+ * Disk holding Docker's images (DOCKER_ROOT_DIR, default /var/lib/docker).
+ * Returns { dockerRootDir, dockerDisk: { totalMb, availableMb } | null }.
+ */
+export function getDockerDisk() {
+  const dockerRootDir = process.env.DOCKER_ROOT_DIR
+    ? path.resolve(process.env.DOCKER_ROOT_DIR)
+    : "/var/lib/docker";
+
+  return {
+    dockerRootDir,
+    dockerDisk: statFsMb(dockerRootDir) || statFsMb(path.dirname(dockerRootDir))
+  };
+}
+
+
+
 /**
  * Resolve the absolute jobs path.
  * - Prefer env override (works with systemd)
@@ -251,13 +292,18 @@ function resolveJobsPath() {
  * - memory_total_mb + memory_available_mb
  * - jobs_path + disk stats
  * - docker_root_dir + disk stats
+ * - temperature_c (hottest sensor), temperature_sensors, thermal throttle state
+ * - status "draining" + drain details while the worker is draining
  *
  * Keeps all v1 fields unchanged for backwards compatibility with dashboards.
  */
 export function buildHealth({
   runningJobs,
   maxConcurrentJobs,
-  dedicatedReservedCpuIds = []
+  dedicatedReservedCpuIds = [],
+  jobsPath = resolveJobsPath(),
+  thermal = null,
+  drain = null
 } = {}) {
   const load = os.loadavg(); // [1min, 5min, 15min]
   const cpuThreads = (os.cpus() || []).length;
@@ -265,14 +311,8 @@ export function buildHealth({
   const memoryTotalMb = Math.round(os.totalmem() / (1024 * 1024));
   const memoryAvailableMb = getMemoryAvailableMb();
 
-  const jobsPath = resolveJobsPath();
-
-  const dockerRootDir = process.env.DOCKER_ROOT_DIR
-    ? path.resolve(process.env.DOCKER_ROOT_DIR)
-    : "/var/lib/docker";
-
+  const { dockerRootDir, dockerDisk } = getDockerDisk();
   const jobsDisk = statFsMb(jobsPath) || statFsMb(path.dirname(jobsPath));
-  const dockerDisk = statFsMb(dockerRootDir) || statFsMb(path.dirname(dockerRootDir));
 
   return {
     // v2 meta
@@ -280,12 +320,12 @@ export function buildHealth({
     timestamp_unix_ms: Date.now(),
 
     // v1 fields (unchanged)
-    status: "ok",
+    status: drain ? "draining" : "ok",
     uptime_seconds: Math.round(process.uptime()),
     load_average: load,
     running_jobs: runningJobs,
     max_concurrent_jobs: maxConcurrentJobs,
-    temperature_c: null,
+    temperature_c: thermal ? thermal.temperatureC : null,
 
     // v2 resource fields
     cpu_threads: cpuThreads,
@@ -301,6 +341,14 @@ export function buildHealth({
 
     docker_root_dir: dockerRootDir,
     docker_disk_total_mb: dockerDisk ? dockerDisk.totalMb : null,
-    docker_disk_available_mb: dockerDisk ? dockerDisk.availableMb : null
+    docker_disk_available_mb: dockerDisk ? dockerDisk.availableMb : null,
+
+    // thermal.js: per-sensor readings; throttled = not starting new jobs
+    temperature_sensors: thermal ? thermal.sensors : [],
+    thermal_throttled: thermal ? thermal.throttled : false,
+    thermal_throttled_since: thermal ? thermal.throttledSince : null,
+
+    // drain.js: { mode, since, reason, shutting_down } while draining
+    drain
   };
 }
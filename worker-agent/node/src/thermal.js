@@ -0,0 +1,176 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Host temperature and thermal throttling.
+ *
+ * Temperatures come from Linux sysfs (other platforms report none):
+ * - <sysfs_root>/class/thermal/thermal_zoneN/temp, named by the zone's `type`
+ * - <sysfs_root>/class/hwmon/hwmonN/tempM_input, named by the chip's `name`
+ *   and the input's `tempM_label` when present
+ * All in millidegrees Celsius. `sysfs_root` (default /sys) is configurable so
+ * the reader can be pointed at a fixture directory.
+ *
+ * The worker's temperature is the hottest sensor. With thermal.throttle
+ * enabled, the scheduler stops starting jobs once it reaches stop_above_c and
+ * starts again when it has dropped to resume_below_c; running jobs are left
+ * alone.
+ */
+
+// Sensors are re-read at most this often (the scheduler asks on every pass)
+const READ_INTERVAL_MS = 2000;
+
+/**
+ * Read every temperature sensor under `sysfsRoot`.
+ *
+ * @param {string} sysfsRoot
+ * @returns {Array<{ sensor: string, source: "thermal_zone" | "hwmon", temperature_c: number }>}
+ */
+export function readTemperatures(sysfsRoot) {
+  return [...readThermalZones(sysfsRoot), ...readHwmon(sysfsRoot)];
+}
+
+function readThermalZones(sysfsRoot) {
+  const dir = path.join(sysfsRoot, "class", "thermal");
+  const sensors = [];
+
+  for (const zone of listDir(dir).filter((name) => name.startsWith("thermal_zone"))) {
+    const celsius = readMilliCelsius(path.join(dir, zone, "temp"));
+    if (celsius === null) continue;
+
+    const type = readText(path.join(dir, zone, "type"));
+    sensors.push({
+      sensor: type ? `${zone}:${type}` : zone,
+      source: "thermal_zone",
+      temperature_c: celsius
+    });
+  }
+
+  return sensors;
+}
+
+function readHwmon(sysfsRoot) {
+  const dir = path.join(sysfsRoot, "class", "hwmon");
+  const sensors = [];
+
+  for (const chip of listDir(dir).filter((name) => name.startsWith("hwmon"))) {
+    const chipDir = path.join(dir, chip);
+    const chipName = readText(path.join(chipDir, "name")) || chip;
+
+    const inputs = listDir(chipDir).filter((name) => /^temp\d+_input$/.test(name));
+    for (const input of inputs) {
+      const celsius = readMilliCelsius(path.join(chipDir, input));
+      if (celsius === null) continue;
+
+      const channel = input.slice(0, -"_input".length);
+      const label = readText(path.join(chipDir, `${channel}_label`));
+      sensors.push({
+        sensor: `${chipName}:${label || channel}`,
+        source: "hwmon",
+        temperature_c: celsius
+      });
+    }
+  }
+
+  return sensors;
+}
+
+function listDir(dir) {
+  try {
+    return fs.readdirSync(dir).sort(naturalCompare);
+  } catch {
+    return [];
+  }
+}
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, "utf8").trim();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Millidegrees -> degrees with one decimal. Unreadable sensors (EIO/ENODATA
+ * are common for sleeping devices) and nonsense values are skipped.
+ */
+function readMilliCelsius(file) {
+  const text = readText(file);
+  if (text === null || !/^-?\d+$/.test(text)) return null;
+
+  const celsius = Math.round(Number(text) / 100) / 10;
+  return celsius > -40 && celsius < 200 ? celsius : null;
+}
+
+function naturalCompare(a, b) {
+  return a.localeCompare(b, undefined, { numeric: true });
+}
+
+class ThermalMonitor {
+  constructor() {
+    this.throttled = false;
+    this.throttledSince = null;
+
+    this._sensors = [];
+    this._readAt = 0;
+    this._readRoot = null;
+  }
+
+  /**
+   * Current temperatures and throttle state, re-reading sensors if the last
+   * reading is stale and applying the throttle hysteresis.
+   *
+   * @param {object} settings - config.thermal
+   * @returns {{ temperatureC: number | null, sensors: object[], throttled: boolean, throttledSince: string | null }}
+   */
+  check(settings) {
+    const now = Date.now();
+    if (this._readRoot !== settings.sysfsRoot || now - this._readAt >= READ_INTERVAL_MS) {
+      this._sensors = readTemperatures(settings.sysfsRoot);
+      this._readAt = now;
+      this._readRoot = settings.sysfsRoot;
+    }
+
+    const temperatureC =
+      this._sensors.length > 0 ? Math.max(...this._sensors.map((s) => s.temperature_c)) : null;
+
+    this._applyPolicy(temperatureC, settings.throttle);
+
+    return {
+      temperatureC,
+      sensors: this._sensors,
+      throttled: this.throttled,
+      throttledSince: this.throttledSince
+    };
+  }
+
+  _applyPolicy(temperatureC, policy) {
+    // Without a reading (or a policy) there is nothing to throttle on
+    if (!policy.enabled || temperatureC === null) {
+      this._setThrottled(false, temperatureC);
+      return;
+    }
+
+    if (!this.throttled && temperatureC >= policy.stopAboveC) {
+      this._setThrottled(true, temperatureC);
+    } else if (this.throttled && temperatureC <= policy.resumeBelowC) {
+      this._setThrottled(false, temperatureC);
+    }
+  }
+
+  _setThrottled(throttled, temperatureC) {
+    if (throttled === this.throttled) return;
+
+    this.throttled = throttled;
+    this.throttledSince = throttled ? new Date().toISOString() : null;
+
+    if (throttled) {
+      console.warn(`[thermal] ${temperatureC} °C: not starting new jobs until the host cools down`);
+    } else {
+      console.log(`[thermal] ${temperatureC ?? "unknown"} °C: starting jobs again`);
+    }
+  }
+}
+
+export const thermalMonitor = new ThermalMonitor();
@@ -0,0 +1,305 @@
+import fs from "fs";
+import path from "path";
+
+import { runDockerCommand } from "./dockerCli.js";
+
+/**
+ * Per-job resource usage, kept on the job record as `usage` (and per
+ * attempt in `attempts`):
+ *
+ *   queue_wait_seconds  submission (or the previous attempt's end) to start
+ *   wall_seconds        time in the "running" phase; null if never reached
+ *   cpu_seconds         user + system CPU time
+ *   peak_memory_mb      highest memory use seen, rounded up
+ *   bytes_written       block device writes
+ *   source              where the last three came from: "cgroup", "stats",
+ *                       "proc", "fake", or null if nothing could be sampled
+ *
+ * The backend samples its job every usage.sample_interval_seconds while it
+ * runs:
+ * - containers: the container's cgroup under usage.cgroup_root (v1 or v2,
+ *   Docker and rootful Podman layouts), found through the id `docker run
+ *   --cidfile` writes; else `<cli> stats` (rootless Podman, Docker Desktop),
+ *   where CPU time is integrated from the CPU percentage and the peak is the
+ *   highest sample
+ * - local processes: /proc/<pid> of the job's main process (CPU time of
+ *   children it has waited for included)
+ *
+ * Until the first reading succeeds (the container id or cgroup may not exist
+ * yet) the sampler retries every FIRST_READING_RETRY_MS. Counters read at
+ * the last sample are reported: the container's cgroup (and /proc entry of
+ * a local process) is gone once the job exits, so usage in the last
+ * interval is approximate, and a job that ends before its first reading
+ * reports nothing (null).
+ */
+
+const BYTES_PER_MB = 1024 * 1024;
+
+// Retry delay while the first reading finds nothing to read
+const FIRST_READING_RETRY_MS = 50;
+
+// Linux USER_HZ: /proc CPU times are in these ticks
+const CLOCK_TICKS_PER_SECOND = 100;
+
+/**
+ * Sample a running job until stop() is called.
+ *
+ * @param {() => Promise<object | null> | object | null} readSample - one reading:
+ *   { memory_bytes, cpu_seconds, bytes_written, source }, or null if there
+ *   is nothing to read (yet)
+ * @param {{ intervalMs: number }} options
+ * @returns {{ stop: () => Promise<{ peakMemoryBytes: number | null, cpuSeconds: number | null, bytesWritten: number | null, source: string | null }>}}
+ */
+export function startUsageSampler(readSample, { intervalMs }) {
+  const usage = { peakMemoryBytes: null, cpuSeconds: null, bytesWritten: null, source: null };
+  let stopped = false;
+  let timer = null;
+  let pending = Promise.resolve();
+
+  const tick = () => {
+    pending = Promise.resolve()
+      .then(readSample)
+      .then((sample) => {
+        if (sample) mergeSample(usage, sample);
+      })
+      .catch(() => {
+        // The job may be gone between two readings
+      })
+      .finally(() => {
+        if (stopped) return;
+        const delay = usage.source === null ? Math.min(intervalMs, FIRST_READING_RETRY_MS) : intervalMs;
+        timer = setTimeout(tick, delay);
+      });
+  };
+  // First reading right after the job has been started
+  timer = setTimeout(tick, 0);
+
+  return {
+    async stop() {
+      stopped = true;
+      clearTimeout(timer);
+      await pending;
+      return usage;
+    }
+  };
+}
+
+/**
+ * Reader for a container whose id `docker run --cidfile` writes to `cidFile`.
+ *
+ * @param {string} cidFile
+ * @param {{ cgroupRoot: string }} options
+ */
+export function containerUsageReader(cidFile, { cgroupRoot }) {
+  let containerId = null;
+  let cgroup = null;
+  let stats = null;
+
+  return async () => {
+    if (!containerId) {
+      containerId = readText(cidFile);
+      if (!containerId) return null;
+      stats = statsReader(containerId);
+    }
+    // The cgroup may appear a moment after the id is written
+    cgroup = cgroup || findContainerCgroup(cgroupRoot, containerId);
+    return cgroup ? readCgroup(cgroup) : stats();
+  };
+}
+
+/**
+ * Reader for a local process; `getPid` returns null until it is started.
+ *
+ * @param {() => number | null | undefined} getPid
+ */
+export function processUsageReader(getPid) {
+  return () => {
+    const pid = getPid();
+    if (!pid) return null;
+
+    const stat = readText(`/proc/${pid}/stat`);
+    if (!stat) return null;
+    // Fields after "(comm) ": state is field 3, utime..cstime are 14-17
+    const fields = stat.slice(stat.lastIndexOf(")") + 2).split(" ");
+    const ticks = fields.slice(11, 15).reduce((sum, v) => sum + Number(v), 0);
+
+    const peakKb = (readText(`/proc/${pid}/status`) || "").match(/^VmHWM:\s+(\d+) kB/m);
+    const written = (readText(`/proc/${pid}/io`) || "").match(/^write_bytes:\s+(\d+)/m);
+
+    return {
+      memory_bytes: peakKb ? Number(peakKb[1]) * 1024 : null,
+      cpu_seconds: ticks / CLOCK_TICKS_PER_SECOND,
+      bytes_written: written ? Number(written[1]) : null,
+      source: "proc"
+    };
+  };
+}
+
+/**
+ * The record's `usage` for an attempt that ended at `finishedAt`.
+ *
+ * @param {object} record - the job record (started_at, phase_timestamps, attempts)
+ * @param {string} finishedAt - ISO timestamp
+ * @param {object} [sampled] - the backend result's `usage`
+ */
+export function jobUsage(record, finishedAt, sampled = {}) {
+  const previous = record.attempts?.[record.attempts.length - 1];
+  const runningAt = record.phase_timestamps?.running;
+
+  return {
+    queue_wait_seconds: record.started_at
+      ? secondsBetween(previous?.finished_at || record.created_at, record.started_at)
+      : null,
+    wall_seconds: runningAt ? secondsBetween(runningAt, finishedAt) : null,
+    cpu_seconds: sampled.cpuSeconds == null ? null : round(sampled.cpuSeconds),
+    peak_memory_mb: sampled.peakMemoryBytes == null ? null : Math.ceil(sampled.peakMemoryBytes / BYTES_PER_MB),
+    bytes_written: sampled.bytesWritten ?? null,
+    source: sampled.source ?? null
+  };
+}
+
+// Counters only grow; the peak is the highest memory reading
+function mergeSample(usage, sample) {
+  const max = (a, b) => (b == null || !Number.isFinite(b) ? a : Math.max(a ?? 0, b));
+  usage.peakMemoryBytes = max(usage.peakMemoryBytes, sample.memory_bytes);
+  usage.cpuSeconds = max(usage.cpuSeconds, sample.cpu_seconds);
+  usage.bytesWritten = max(usage.bytesWritten, sample.bytes_written);
+  usage.source = sample.source;
+}
+
+/**
+ * The container's cgroup directories, or null if none is found.
+ */
+function findContainerCgroup(root, id) {
+  const layouts = [
+    `system.slice/docker-${id}.scope`,
+    `docker/${id}`,
+    `machine.slice/libpod-${id}.scope`,
+    `libpod_parent/libpod-${id}`
+  ];
+
+  // v2: one unified hierarchy
+  if (fs.existsSync(path.join(root, "cgroup.controllers"))) {
+    const dir = layouts.map((l) => path.join(root, l)).find((d) => fs.existsSync(d));
+    return dir ? { version: 2, dir } : null;
+  }
+
+  // v1: one hierarchy per controller
+  const layout = layouts.find((l) => fs.existsSync(path.join(root, "memory", l)));
+  return layout
+    ? {
+        version: 1,
+        memory: path.join(root, "memory", layout),
+        cpuacct: path.join(root, "cpuacct", layout),
+        blkio: path.join(root, "blkio", layout)
+      }
+    : null;
+}
+
+function readCgroup(cgroup) {
+  if (cgroup.version === 2) {
+    const memory = readNumber(path.join(cgroup.dir, "memory.peak")) ?? readNumber(path.join(cgroup.dir, "memory.current"));
+    const cpuUsec = (readText(path.join(cgroup.dir, "cpu.stat")) || "").match(/^usage_usec (\d+)/m);
+    const io = readText(path.join(cgroup.dir, "io.stat"));
+    if (memory === null && !cpuUsec) return null;
+
+    return {
+      memory_bytes: memory,
+      cpu_seconds: cpuUsec ? Number(cpuUsec[1]) / 1e6 : null,
+      bytes_written: io === null ? null : sumMatches(io, /\bwbytes=(\d+)/g),
+      source: "cgroup"
+    };
+  }
+
+  const memory = readNumber(path.join(cgroup.memory, "memory.max_usage_in_bytes"));
+  const cpuNs = readNumber(path.join(cgroup.cpuacct, "cpuacct.usage"));
+  const io = readText(path.join(cgroup.blkio, "blkio.throttle.io_service_bytes"));
+  if (memory === null && cpuNs === null) return null;
+
+  return {
+    memory_bytes: memory,
+    cpu_seconds: cpuNs === null ? null : cpuNs / 1e9,
+    bytes_written: io === null ? null : sumMatches(io, /^\S+ Write (\d+)$/gm),
+    source: "cgroup"
+  };
+}
+
+/**
+ * `<cli> stats` reader: memory and block I/O as reported, CPU time
+ * integrated from the CPU percentage between readings.
+ */
+function statsReader(containerId) {
+  let cpuSeconds = 0;
+  let lastAt = null;
+
+  return async () => {
+    const result = await runDockerCommand(
+      ["stats", "--no-stream", "--format", "{{json .}}", containerId],
+      { timeoutMs: 10000 }
+    );
+    if (result.code !== 0) return null;
+
+    let stats;
+    try {
+      stats = JSON.parse(result.stdout.trim().split("\n")[0]);
+    } catch (err) {
+      return null;
+    }
+
+    const now = Date.now();
+    const cpuPercent = parseFloat(stats.CPUPerc);
+    if (lastAt !== null && Number.isFinite(cpuPercent)) {
+      cpuSeconds += (cpuPercent / 100) * ((now - lastAt) / 1000);
+    }
+    lastAt = now;
+
+    return {
+      memory_bytes: parseSize(String(stats.MemUsage || "").split("/")[0]),
+      cpu_seconds: cpuSeconds,
+      bytes_written: parseSize(String(stats.BlockIO || "").split("/")[1]),
+      source: "stats"
+    };
+  };
+}
+
+const SIZE_UNITS = {
+  b: 1,
+  kb: 1e3, mb: 1e6, gb: 1e9, tb: 1e12,
+  kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3, tib: 1024 ** 4
+};
+
+// "12.5MiB", "4.1kB", "0B" -> bytes
+function parseSize(text) {
+  const match = String(text || "").trim().match(/^([\d.]+)\s*([a-z]+)$/i);
+  if (!match) return null;
+  const unit = SIZE_UNITS[match[2].toLowerCase()];
+  return unit ? Math.round(Number(match[1]) * unit) : null;
+}
+
+function sumMatches(text, pattern) {
+  let total = 0;
+  for (const match of text.matchAll(pattern)) total += Number(match[1]);
+  return total;
+}
+
+function secondsBetween(fromIso, toIso) {
+  return round(Math.max(0, (Date.parse(toIso) - Date.parse(fromIso)) / 1000));
+}
+
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+function readNumber(file) {
+  const text = readText(file);
+  const n = text === null ? NaN : Number(text);
+  return Number.isFinite(n) ? n : null;
+}
+
+function readText(file) {
+  try {
+    return fs.readFileSync(file, "utf8").trim();
+  } catch (err) {
+    return null;
+  }
+}
@@ -0,0 +1,181 @@
+import crypto from "crypto";
+
+/**
+ * Completion webhooks.
+ *
+ * A job may carry a callback block:
+ *
+ *   "callback": {
+ *     "url": "http://master-a:8080/hooks/jobs",
+ *     "events": ["finished", "failed"],
+ *     "secret_id": "master-a"
+ *   }
+ *
+ * When the job's state changes to one of `events`, the job record is POSTed
+ * to `url`, signed with the secret configured under webhooks.secrets[secret_id].
+ * Failed deliveries are retried with exponential backoff. Progress is kept on
+ * the job record as `callback_deliveries`, one entry per event.
+ *
+ * Signature: X-PC-Signature = "sha256=" + hex(HMAC_SHA256(secret, `${X-PC-Timestamp}.${body}`))
+ */
+
+export const CALLBACK_EVENTS = ["running", "finished", "failed", "cancelled"];
+
+export class WebhookDispatcher {
+  /**
+   * @param {import("./jobStore.js").jobStore} jobStore
+   * @param {import("./config.js").config} config
+   * @param {(record: object) => object} serializeJob - shapes the record like GET /jobs/{job_id}
+   */
+  constructor(jobStore, config, serializeJob) {
+    this.jobStore = jobStore;
+    this.config = config;
+    this.serializeJob = serializeJob;
+
+    this._onUpdated = (record, patch) => {
+      if (patch.state && record.job?.callback) {
+        this._enqueue(record, patch.state);
+      }
+    };
+  }
+
+  /**
+   * Start listening for state changes, and resume deliveries that were
+   * still pending when the worker last stopped.
+   */
+  start() {
+    this.jobStore.on("updated", this._onUpdated);
+
+    for (const record of this.jobStore.jobs.values()) {
+      for (const delivery of record.callback_deliveries || []) {
+        if (delivery.state === "pending") {
+          this._scheduleAttempt(record.job_id, delivery.event, 0);
+        }
+      }
+    }
+  }
+
+  stop() {
+    this.jobStore.off("updated", this._onUpdated);
+  }
+
+  _enqueue(record, event) {
+    const callback = record.job.callback;
+    const events = Array.isArray(callback.events) ? callback.events : CALLBACK_EVENTS;
+    if (!events.includes(event)) {
+      return;
+    }
+
+    this._setDelivery(record.job_id, event, {
+      event,
+      state: "pending",
+      attempts: 0,
+      last_attempt_at: null,
+      last_status: null,
+      last_error: null,
+      delivered_at: null
+    });
+
+    this._scheduleAttempt(record.job_id, event, 0);
+  }
+
+  _scheduleAttempt(jobId, event, delayMs) {
+    setTimeout(() => {
+      this._attempt(jobId, event).catch((err) => {
+        console.error(`[webhooks] Unexpected error delivering ${event} for job ${jobId}:`, err);
+      });
+    }, delayMs);
+  }
+
+  async _attempt(jobId, event) {
+    const record = this.jobStore.getJob(jobId);
+    const delivery = record?.callback_deliveries?.find((d) => d.event === event);
+    if (!record || !delivery || delivery.state !== "pending") {
+      return;
+    }
+
+    const settings = this.config.webhooks;
+    const callback = record.job.callback;
+    const attempts = delivery.attempts + 1;
+
+    let status = null;
+    let error = null;
+
+    try {
+      const body = JSON.stringify({
+        event,
+        worker_id: this.config.workerId,
+        job: this.serializeJob(record)
+      });
+
+      const response = await fetch(callback.url, {
+        method: "POST",
+        headers: signedHeaders(settings.secrets[callback.secret_id], event, jobId, body),
+        body,
+        signal: AbortSignal.timeout(settings.timeoutSeconds * 1000)
+      });
+
+      status = response.status;
+      if (!response.ok) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (err) {
+      error = err.message || String(err);
+    }
+
+    const now = new Date().toISOString();
+    const done = !error;
+    const exhausted = !done && attempts >= settings.maxAttempts;
+
+    this._setDelivery(jobId, event, {
+      ...delivery,
+      state: done ? "delivered" : exhausted ? "failed" : "pending",
+      attempts,
+      last_attempt_at: now,
+      last_status: status,
+      last_error: error,
+      delivered_at: done ? now : null
+    });
+
+    if (!done && !exhausted) {
+      const backoffMs = Math.min(
+        settings.initialBackoffSeconds * 1000 * 2 ** (attempts - 1),
+        settings.maxBackoffSeconds * 1000
+      );
+      this._scheduleAttempt(jobId, event, backoffMs);
+    } else if (exhausted) {
+      console.warn(`[webhooks] Giving up on ${event} for job ${jobId} after ${attempts} attempts: ${error}`);
+    }
+  }
+
+  /**
+   * Replace (or add) the delivery entry for one event on the job record.
+   */
+  _setDelivery(jobId, event, delivery) {
+    const record = this.jobStore.getJob(jobId);
+    if (!record) return;
+
+    const deliveries = (record.callback_deliveries || []).filter((d) => d.event !== event);
+    deliveries.push(delivery);
+    this.jobStore.updateJob(jobId, { callback_deliveries: deliveries });
+  }
+}
+
+/**
+ * Headers for one delivery, including the HMAC signature over timestamp + body.
+ */
+function signedHeaders(secret, event, jobId, body) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+  return {
+    "Content-Type": "application/json",
+    "X-PC-Event": event,
+    "X-PC-Delivery": `${jobId}:${event}`,
+    "X-PC-Timestamp": timestamp,
+    "X-PC-Signature": `sha256=${signature}`
+  };
+}
@@ -0,0 +1,240 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Per-job workspaces and output artifacts.
+ *
+ * Every job gets a scratch directory on the host, mounted into its container
+ * at /workspace. Files listed in runtime.workspace.inputs are written there
+ * before the run; paths listed in runtime.workspace.outputs are copied out
+ * afterwards into the job's artifact directory, where GET /jobs/{job_id}/artifacts
+ * serves them until the retention period runs out.
+ *
+ * Layout under the jobs directory:
+ *   workspaces/<job slug>/   (deleted when the run ends)
+ *   artifacts/<job slug>/    (kept for artifacts.retention_hours)
+ */
+
+export const CONTAINER_WORKSPACE_PATH = "/workspace";
+
+/**
+ * Filesystem/Docker-safe, collision-free name for a job.
+ * job_id is chosen by the master, so it is sanitised and suffixed with a hash.
+ *
+ * @param {string} jobId
+ * @returns {string}
+ */
+export function jobSlug(jobId) {
+  const safe = String(jobId).replace(/[^a-zA-Z0-9_.-]/g, "_").slice(0, 64);
+  const hash = crypto.createHash("sha1").update(String(jobId)).digest("hex").slice(0, 8);
+  return `${safe}-${hash}`;
+}
+
+/**
+ * Check that a job-supplied relative path stays inside its base directory.
+ */
+export function isSafeRelativePath(p) {
+  if (typeof p !== "string" || p.length === 0) return false;
+  if (p.startsWith("/") || p.includes("\\") || p.includes("\0")) return false;
+  const normalized = path.posix.normalize(p);
+  return normalized !== "." && normalized !== ".." && !normalized.startsWith("../");
+}
+
+export function workspaceDirFor(workspacesDir, jobId) {
+  return path.join(workspacesDir, jobSlug(jobId));
+}
+
+export function artifactDirFor(artifactsDir, jobId) {
+  return path.join(artifactsDir, jobSlug(jobId));
+}
+
+/**
+ * Create a fresh workspace for a job and write its declared input files.
+ *
+ * @param {object} jobRecord
+ * @param {string} workspacesDir
+ * @param {{ shared?: boolean }} [options] - shared: writable by any uid (non-root containers)
+ * @returns {string} absolute host path of the workspace
+ */
+export function prepareWorkspace(jobRecord, workspacesDir, { shared = false } = {}) {
+  const dir = workspaceDirFor(workspacesDir, jobRecord.job_id);
+  const inputs = jobRecord.job?.runtime?.workspace?.inputs || [];
+
+  fs.rmSync(dir, { recursive: true, force: true });
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (const file of inputs) {
+    const target = path.join(dir, path.posix.normalize(file.path));
+    const data = Buffer.from(String(file.content ?? ""), file.encoding === "base64" ? "base64" : "utf8");
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.writeFileSync(target, data);
+  }
+
+  if (shared) {
+    makeWritableByAnyone(dir);
+  }
+
+  return dir;
+}
+
+/**
+ * chmod a workspace so a container running as an unprivileged user can
+ * write into it (and overwrite inputs). Not done via mkdir's mode because
+ * the umask would mask it.
+ */
+function makeWritableByAnyone(dir) {
+  fs.chmodSync(dir, 0o777);
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      makeWritableByAnyone(full);
+    } else {
+      fs.chmodSync(full, 0o666);
+    }
+  }
+}
+
+/**
+ * Copy the job's declared outputs from its workspace into its artifact dir.
+ *
+ * Output entries may name files or directories (collected recursively).
+ * Symlinks are never followed: the container controls the workspace and
+ * could otherwise point us at arbitrary host files.
+ *
+ * @param {object} jobRecord
+ * @param {string} workspaceDir
+ * @param {{ artifactsDir: string, maxFileBytes: number, maxTotalBytes: number }} limits
+ * @returns {{ artifacts: Array<{ name: string, size_bytes: number, sha256: string }>, skipped: Array<{ name: string, reason: string }> }}
+ */
+export function collectArtifacts(jobRecord, workspaceDir, { artifactsDir, maxFileBytes, maxTotalBytes }) {
+  const outputs = jobRecord.job?.runtime?.workspace?.outputs || [];
+  const destDir = artifactDirFor(artifactsDir, jobRecord.job_id);
+
+  const artifacts = [];
+  const skipped = [];
+  let totalBytes = 0;
+
+  const candidates = [];
+  const realBase = fs.realpathSync(workspaceDir);
+  for (const output of outputs) {
+    listOutputFiles(realBase, path.posix.normalize(output), candidates, skipped);
+  }
+
+  for (const name of candidates) {
+    if (artifacts.some((a) => a.name === name)) continue;
+
+    const source = path.join(realBase, name);
+    const size = fs.lstatSync(source).size;
+
+    if (size > maxFileBytes) {
+      skipped.push({ name, reason: "FILE_TOO_LARGE" });
+      continue;
+    }
+    if (totalBytes + size > maxTotalBytes) {
+      skipped.push({ name, reason: "TOTAL_SIZE_EXCEEDED" });
+      continue;
+    }
+
+    const target = path.join(destDir, name);
+    fs.mkdirSync(path.dirname(target), { recursive: true });
+    fs.copyFileSync(source, target);
+
+    const sha256 = crypto.createHash("sha256").update(fs.readFileSync(target)).digest("hex");
+    artifacts.push({ name, size_bytes: size, sha256 });
+    totalBytes += size;
+  }
+
+  return { artifacts, skipped };
+}
+
+/**
+ * Push the regular files under `relPath` (a file or directory) onto `out`.
+ * `baseDir` must already be a real path.
+ */
+function listOutputFiles(baseDir, relPath, out, skipped) {
+  const fullPath = path.join(baseDir, relPath);
+
+  let stat;
+  try {
+    // A symlinked parent directory would lead outside the workspace
+    const realParent = fs.realpathSync(path.dirname(fullPath));
+    if (realParent !== baseDir && !realParent.startsWith(baseDir + path.sep)) {
+      skipped.push({ name: relPath, reason: "SYMLINK" });
+      return;
+    }
+    stat = fs.lstatSync(fullPath);
+  } catch {
+    skipped.push({ name: relPath, reason: "NOT_FOUND" });
+    return;
+  }
+
+  if (stat.isSymbolicLink()) {
+    skipped.push({ name: relPath, reason: "SYMLINK" });
+  } else if (stat.isFile()) {
+    out.push(relPath);
+  } else if (stat.isDirectory()) {
+    for (const entry of fs.readdirSync(fullPath)) {
+      listOutputFiles(baseDir, path.posix.join(relPath, entry), out, skipped);
+    }
+  }
+}
+
+/**
+ * Remove a workspace once the run is over. Best effort: files created by a
+ * root container may not be deletable by a non-root worker.
+ */
+export function removeWorkspace(dir) {
+  try {
+    fs.rmSync(dir, { recursive: true, force: true });
+  } catch (err) {
+    console.warn(`[workspace] Could not remove ${dir}: ${err.message}`);
+  }
+}
+
+/**
+ * Delete artifacts of jobs that finished more than `retentionMs` ago, plus
+ * artifact dirs that no longer belong to any known job.
+ *
+ * Expired jobs keep their record; their `artifacts` list is emptied and
+ * `artifacts_expired_at` is set.
+ *
+ * @param {import("./jobStore.js").jobStore} jobStore
+ * @param {{ artifactsDir: string, retentionMs: number }} options
+ * @returns {number} how many artifact directories were removed
+ */
+export function pruneArtifacts(jobStore, { artifactsDir, retentionMs }) {
+  if (!fs.existsSync(artifactsDir)) {
+    return 0;
+  }
+
+  const cutoff = Date.now() - retentionMs;
+  const keep = new Set();
+
+  for (const record of jobStore.jobs.values()) {
+    if (record.state === "queued" || record.state === "running") {
+      keep.add(jobSlug(record.job_id));
+      continue;
+    }
+    if (!record.artifacts || record.artifacts.length === 0) continue;
+
+    const finishedAt = record.finished_at ? Date.parse(record.finished_at) : NaN;
+    if (Number.isFinite(finishedAt) && finishedAt < cutoff) {
+      jobStore.updateJob(record.job_id, {
+        artifacts: [],
+        artifacts_expired_at: new Date().toISOString()
+      });
+    } else {
+      keep.add(jobSlug(record.job_id));
+    }
+  }
+
+  let removed = 0;
+  for (const entry of fs.readdirSync(artifactsDir)) {
+    if (keep.has(entry)) continue;
+    fs.rmSync(path.join(artifactsDir, entry), { recursive: true, force: true });
+    removed += 1;
+  }
+
+  return removed;
+}
@@ -0,0 +1,47 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { dockerfileImages, isImageAllowed } from "../src/policy.js";
+
+test("dockerfileImages lists FROM, COPY --from and RUN --mount sources", () => {
+  const { images, unresolved } = dockerfileImages(
+    [
+      "ARG BASE=python:3.12-slim",
+      "FROM ${BASE} AS build",
+      "RUN --mount=type=cache,from=tools/cache:1,target=/c true",
+      "FROM --platform=linux/amd64 gcc:13 AS run",
+      "COPY --from=build /a /a",
+      "COPY --from=0 /b /b",
+      "COPY --from=nginx:latest /c /c",
+      "FROM run",
+      "FROM scratch"
+    ].join("\n")
+  );
+
+  assert.deepEqual(images, ["python:3.12-slim", "tools/cache:1", "gcc:13", "nginx:latest"]);
+  assert.deepEqual(unresolved, []);
+});
+
+test("dockerfileImages reports references it cannot resolve", () => {
+  assert.deepEqual(dockerfileImages("FROM $BASE").unresolved, ["$BASE"]);
+});
+
+test("dockerfileImages includes the # syntax= frontend image", () => {
+  const { images } = dockerfileImages("# syntax=evil/frontend:1\nFROM alpine:3.20\n");
+
+  assert.deepEqual(images, ["evil/frontend:1", "alpine:3.20"]);
+  assert.equal(images.every((image) => isImageAllowed(image, ["alpine:*"])), false);
+});
+
+test("dockerfileImages only reads parser directives at the top", () => {
+  assert.deepEqual(dockerfileImages("FROM alpine:3.20\n# syntax=evil/frontend:1\n").images, ["alpine:3.20"]);
+  assert.deepEqual(dockerfileImages("# a comment\n# syntax=evil/frontend:1\nFROM alpine:3.20").images, [
+    "alpine:3.20"
+  ]);
+});
+
+test("dockerfileImages follows # escape= for line continuations", () => {
+  const { images } = dockerfileImages("# escape=`\nFROM `\n  alpine:3.20\n");
+
+  assert.deepEqual(images, ["alpine:3.20"]);
+});